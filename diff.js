@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/**
+ * Entry point of code-structure-diff, an alias for `code-structure diff`
+ *
+ * Usage: code-structure-diff <old> [new] [options]
+ */
+
+import { createProgram } from './lib/cli.js';
+
+await createProgram().parseAsync([...process.argv.slice(0, 2), 'diff', ...process.argv.slice(2)]);
@@ -0,0 +1,24 @@
+/**
+ * Programmatic API of code-structure
+ *
+ * Usage:
+ *   import { analyze, formatMarkdown, buildJsonReport } from 'code-structure';
+ *
+ *   const model = analyze('src', { useCache: false });
+ *   const report = buildJsonReport(model);
+ *
+ * The code-structure command (lib/cli.js) is built on these functions.
+ */
+
+export { analyze, analyzeInParallel } from './lib/analyze.js';
+export { loadConfig } from './lib/config.js';
+export { extractMethodSignatures } from './lib/extract.js';
+export { formatMarkdown, buildJsonReport, JSON_SCHEMA_VERSION } from './lib/report.js';
+export { formatHtml } from './lib/html.js';
+export { diffReports, formatDiff, isEmptyDiff } from './lib/diff.js';
+export { findViolations, createBaseline, applyBaseline } from './lib/gate.js';
+export { findEntryPoints, findDeadCode } from './lib/deadcode.js';
+export { findCycles } from './lib/cycles.js';
+export { expandReExports } from './lib/reexports.js';
+export { buildDiagram, formatMermaid, formatDot } from './lib/diagram.js';
+export { buildJSDocReport, formatJSDocReport } from './lib/jsdoc.js';
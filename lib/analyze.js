@@ -0,0 +1,507 @@
+/**
+ * Analysis of a directory into a structured model; this is the package's programmatic entry point
+ *
+ * The report and tree commands (lib/commands/) render the model as Markdown, JSON or a tree;
+ * index.js re-exports it for other programs. analyzeInParallel() builds the same model with the
+ * parsing spread over worker threads (lib/workers.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from './config.js';
+import { createPathFilter } from './glob.js';
+import { createGitignoreFilter } from './gitignore.js';
+import { listChangedFiles } from './git.js';
+import { createAnalysisCache } from './cache.js';
+import { SOURCE_EXTENSIONS } from './parse.js';
+import { extractMethodSignatures, extractDisplayName, formatDiagnostic } from './extract.js';
+import { createImportResolver } from './resolve.js';
+import { buildDependencyGraph, buildCallGraph } from './graph.js';
+import { rankHotspots, selectHotspots } from './metrics.js';
+import { findEntryPoints, findDeadCode, findUnusedFunctions } from './deadcode.js';
+import { findCycles } from './cycles.js';
+import { expandReExports } from './reexports.js';
+import { scanDirectory } from './scan.js';
+import { createWorkerPool, DEFAULT_JOBS } from './workers.js';
+import { createSpillStore } from './spill.js';
+
+// Fewest source files worth a worker thread of their own, since each worker has to load the parser
+const MIN_FILES_PER_WORKER = 50;
+
+// Fields of a source file's record that spillDetails keeps on disk until model.readFile() is called
+const DETAIL_FIELDS = ['importStatements', 'types', 'signatures', 'detachedJSDocs', 'references'];
+
+// Function to look up a file's result in the analysis cache
+// Returns { result } on a hit, or { content } to store a new result under (null if the file can't be read)
+function lookupCachedResult(filePath, relativePath, resolveImport, cache) {
+  let fileContent;
+  try {
+    fileContent = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return { result: null, content: null };
+  }
+
+  // Resolved imports depend on other files, so a cached result is only reused if they still resolve the same way
+  const cached = cache.get(relativePath, fileContent);
+  if (cached && cached.dependencies.every(({ source, resolvedPath }) => (resolveImport(source, filePath) || null) === resolvedPath)) {
+    return { result: cached, content: fileContent };
+  }
+  return { result: null, content: fileContent };
+}
+
+// Function to extract signatures through the analysis cache
+function extractMethodSignaturesCached(filePath, relativePath, extractOptions, cache) {
+  const { result: cached, content } = lookupCachedResult(filePath, relativePath, extractOptions.resolveImport, cache);
+  if (cached) {
+    return cached;
+  }
+
+  const result = extractMethodSignatures(filePath, { ...extractOptions, content });
+  if (content !== null) {
+    cache.set(relativePath, content, result);
+  }
+  return result;
+}
+
+// Helper function to de-duplicate functions that are both declared and exported
+function dedupeSignatures(signatures) {
+  const uniqueSignatures = [];
+  const seenFunctions = new Set();
+
+  for (const sig of signatures) {
+    const funcNameMatch = sig.signature.match(/(?:function|export function) (\w+)/);
+    if (funcNameMatch) {
+      const funcName = funcNameMatch[1];
+
+      // If we've seen this function before, skip it
+      if (seenFunctions.has(funcName)) {
+        continue;
+      }
+
+      seenFunctions.add(funcName);
+      uniqueSignatures.push(sig);
+    } else {
+      // For non-function or other special cases, keep them
+      uniqueSignatures.push(sig);
+    }
+  }
+
+  return uniqueSignatures;
+}
+
+/**
+ * Analyse the files under a directory
+ *
+ * @param {string} rootDir - Directory to scan
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuration as returned by loadConfig (default: rootDir/.code-structure.json)
+ * @param {number} [options.maxDepth=Infinity] - Maximum directory depth to scan
+ * @param {boolean} [options.includeJsDoc=true] - Read descriptions and types from JSDoc comments
+ * @param {boolean} [options.useCache=true] - Reuse results from .code-structure-cache/ for unchanged files
+ * @param {boolean} [options.useGitignore=true] - Skip files that .gitignore excludes
+ * @param {string|null} [options.changedSince=null] - Only analyse files changed since this git ref
+ * @param {boolean} [options.analyzeSources=true] - Extract signatures; false only lists files
+ * @param {string[]} [options.skipPaths=[]] - Absolute paths of files to leave out, such as the output file
+ * @param {Object|null} [options.watchState=null] - { lineCounts, results } Maps that watch mode keeps between runs
+ * @param {number} [options.hotspotLimit=10] - Number of functions to rank in hotspots
+ * @param {boolean} [options.strict=false] - Throw if a source file has a syntax error, instead of reading what can be recovered
+ * @param {boolean} [options.spillDetails=false] - Keep each source file's importStatements, types, signatures,
+ *   detachedJSDocs and references in a temporary file rather than in the model, so memory doesn't grow with them
+ * @returns {Object} { root, changedSince, files, otherFiles, directories, dependencyGraph, callGraph, hotspots, deadCode, cycles, cache, readFile, close }
+ *   files holds the files with an included extension, sorted by line count (descending), each with
+ *   { path, absolutePath, lineCount, language, parseError, diagnostics, detachedJSDocs, imports, importStatements, types, signatures, exports, reExports, references }.
+ *   diagnostics holds { message, line, column, recovered } for a file that failed to parse; recovered
+ *   files are read without the lines that have errors (see parseSourceTolerant in lib/parse.js).
+ *   parseError describes the first diagnostic in one line, or is null.
+ *   detachedJSDocs holds { line, description } for JSDoc blocks that document no declaration.
+ *   exports holds { name, local, line } for each exported name, with source and imported for re-exports;
+ *   reExports lists the names a file passes on from other modules and where they are defined (see lib/reexports.js).
+ *   otherFiles holds { path, absolutePath, lineCount } for the remaining scanned files.
+ *   hotspots holds { path, name, line, lineCount, metrics } for the most complex functions (see lib/metrics.js).
+ *   deadCode holds the unused files, exports and functions (see lib/deadcode.js), or null when only
+ *   part of the tree was analysed, since importers outside that part would be missed.
+ *   cycles holds the import cycles (see lib/cycles.js); with changedSince, only cycles among changed files.
+ *   readFile(file) returns a record of files with all of its fields, reading them back from disk with spillDetails;
+ *   close() removes what spillDetails wrote, after which readFile() can't be called.
+ */
+export function analyze(rootDir, options = {}) {
+  return analyzeOnMainThread(prepareAnalysis(rootDir, options));
+}
+
+// Function to extract the files of a prepared analysis one at a time on the main thread and build the model
+function analyzeOnMainThread(context) {
+  const state = startModel(context);
+  try {
+    state.pending.forEach(file => {
+      const result = takeKeptResult(context, state, file) ||
+        extractMethodSignaturesCached(file.absolutePath, file.path, context.extractOptions, context.cache);
+      addResult(context, state, file, result);
+    });
+    return finishModel(context, state);
+  } catch (error) {
+    discardModel(state);
+    throw error;
+  }
+}
+
+/**
+ * Analyse the files under a directory, extracting signatures in a pool of worker threads
+ *
+ * Each worker parses one file at a time and its result is added to the file's record, already in scan
+ * order, as soon as it comes back, so the model is the same as analyze() returns whichever worker
+ * finishes first. Cache lookups and writes stay on the main thread. Small trees, where starting
+ * workers costs more than it saves, are analysed on the main thread.
+ *
+ * @param {string} rootDir - Directory to scan
+ * @param {Object} [options] - The options of analyze(), and:
+ * @param {number} [options.jobs] - Maximum number of worker threads (default: one per available CPU)
+ * @returns {Promise<Object>} The model described at analyze()
+ */
+export async function analyzeInParallel(rootDir, options = {}) {
+  const { jobs = DEFAULT_JOBS } = options;
+  const context = prepareAnalysis(rootDir, options);
+  const { root, allFiles, includeJsDoc, watchState, extractOptions, cache } = context;
+
+  const extractedCount = allFiles.filter(file => isExtracted(file, context) && !(watchState && watchState.results.has(file.filePath))).length;
+  const workerCount = Math.min(jobs, Math.ceil(extractedCount / MIN_FILES_PER_WORKER));
+  if (workerCount <= 1) {
+    return analyzeOnMainThread(context);
+  }
+
+  const state = startModel(context);
+  const pool = createWorkerPool(workerCount, {
+    root,
+    files: allFiles.map(({ filePath, relativePath }) => ({ filePath, relativePath })),
+    includeJsDoc
+  });
+  let nextIndex = 0;
+
+  // Each lane holds at most one file's content and result, so memory doesn't grow with the size of the tree
+  async function runLane() {
+    while (nextIndex < state.pending.length) {
+      const file = state.pending[nextIndex++];
+      let result = takeKeptResult(context, state, file);
+      if (!result) {
+        const { result: cached, content } = lookupCachedResult(file.absolutePath, file.path, extractOptions.resolveImport, cache);
+        // The worker is sent the content read for the cache lookup, rather than reading the file again
+        result = cached || await pool.run(file.absolutePath, content);
+        if (!cached && content !== null) {
+          cache.set(file.path, content, result);
+        }
+      }
+      addResult(context, state, file, result);
+    }
+  }
+
+  try {
+    try {
+      await Promise.all(Array.from({ length: workerCount }, runLane));
+    } finally {
+      await pool.close();
+    }
+    return finishModel(context, state);
+  } catch (error) {
+    discardModel(state);
+    throw error;
+  }
+}
+
+// Function to scan a directory and set up the state analyze() and analyzeInParallel() share
+function prepareAnalysis(rootDir, options) {
+  const root = path.resolve(rootDir);
+  const {
+    config = loadConfig(root),
+    maxDepth = Infinity,
+    includeJsDoc = true,
+    useCache = true,
+    useGitignore = true,
+    changedSince = null,
+    analyzeSources = true,
+    skipPaths = [],
+    watchState = null,
+    hotspotLimit = 10,
+    strict = false,
+    spillDetails = false
+  } = options;
+
+  // Collect all files
+  const { files: allFiles, directories } = scanDirectory(root, {
+    maxDepth,
+    pathFilter: createPathFilter(config),
+    gitignore: createGitignoreFilter(root, { enabled: useGitignore }),
+    skipPaths,
+    lineCounts: watchState ? watchState.lineCounts : null
+  });
+
+  // Sort all files by line count (descending) from the scan, before any is parsed, so each file's
+  // result can be set aside as it comes and read back in this order when a report is rendered
+  allFiles.sort((a, b) => b.lineCount - a.lineCount);
+
+  // Files that differ from the ref; the rest are still scanned so imports resolve to them
+  const changedFiles = changedSince ? listChangedFiles(root, changedSince) : null;
+
+  // Reuse results for files whose content, options and tool version are unchanged; runs with and
+  // without JSDoc keep separate namespaces, so pruning after one doesn't remove the other's entries
+  const cache = createAnalysisCache({
+    rootDir: root,
+    namespace: includeJsDoc ? 'report' : 'report-no-jsdoc',
+    options: { includeJsDoc },
+    enabled: useCache && analyzeSources
+  });
+
+  // Resolve import specifiers against every scanned file, before extension filtering
+  const extractOptions = { resolveImport: createImportResolver(root, allFiles), includeJsDoc };
+
+  return {
+    root,
+    config,
+    maxDepth,
+    includeJsDoc,
+    changedSince,
+    analyzeSources,
+    watchState,
+    hotspotLimit,
+    strict,
+    spillDetails,
+    allFiles,
+    directories,
+    changedFiles,
+    cache,
+    extractOptions
+  };
+}
+
+// Function to tell whether the signatures of a scanned file are extracted
+function isExtracted({ filePath, relativePath }, { config, analyzeSources, changedFiles }) {
+  const ext = path.extname(filePath);
+  return analyzeSources && (!changedFiles || changedFiles.has(relativePath)) &&
+    config.includeExtensions.includes(ext) && SOURCE_EXTENSIONS.includes(ext);
+}
+
+// Function to list the scanned files as model records, in the order of the report, before any is parsed
+// Returns the state addResult() and finishModel() fill in; pending holds the records of the files to extract
+function startModel({ config, analyzeSources, allFiles, changedFiles, spillDetails }) {
+  const files = [];
+  const otherFiles = [];
+  const pending = [];
+
+  for (const { filePath, relativePath, lineCount } of allFiles) {
+    const ext = path.extname(filePath);
+
+    // Skip files that are unchanged since changedSince
+    if (changedFiles && !changedFiles.has(relativePath)) {
+      continue;
+    }
+
+    // Files of other types are only listed
+    if (!config.includeExtensions.includes(ext)) {
+      otherFiles.push({ path: relativePath, absolutePath: filePath, lineCount });
+      continue;
+    }
+
+    const file = {
+      path: relativePath,
+      absolutePath: filePath,
+      lineCount,
+      language: 'other',
+      parseError: null,
+      diagnostics: [],
+      detachedJSDocs: [],
+      imports: [],
+      importStatements: [],
+      types: [],
+      signatures: [],
+      exports: [],
+      reExports: [],
+      references: []
+    };
+    files.push(file);
+
+    if (SOURCE_EXTENSIONS.includes(ext)) {
+      file.language = /\.[mc]?tsx?$/.test(ext) ? 'typescript' : 'javascript';
+      if (analyzeSources) {
+        pending.push(file);
+      }
+    } else if (ext === '.json') {
+      try {
+        // For JSON files, keep the file size in addition to line count
+        file.sizeBytes = fs.statSync(filePath).size;
+        file.language = 'json';
+      } catch (error) {
+        file.readError = error.message;
+      }
+    }
+  }
+
+  return {
+    files,
+    otherFiles,
+    pending,
+    summaries: new Map(),
+    details: new Map(),
+    spill: spillDetails ? createSpillStore() : null,
+    reusedResults: false
+  };
+}
+
+// Function to take the result watch mode kept for a file from an earlier run, or null
+function takeKeptResult({ watchState }, state, file) {
+  const result = watchState && watchState.results.get(file.absolutePath);
+  if (!result) {
+    return null;
+  }
+  state.reusedResults = true;
+  return result;
+}
+
+// Function to fill in a file record from its extraction result; results may be added in any order
+// What the project-wide sections need is kept aside, and with spillDetails the rest moves to disk
+function addResult({ watchState, hotspotLimit }, state, file, result) {
+  if (watchState) {
+    watchState.results.set(file.absolutePath, result);
+  }
+
+  const { diagnostics } = result;
+  file.imports = result.dependencies;
+  file.importStatements = result.imports;
+  file.types = result.types;
+  file.exports = result.exports;
+  file.references = result.references;
+  file.diagnostics = diagnostics;
+  file.detachedJSDocs = result.detachedJSDocs;
+  if (diagnostics.length > 0) {
+    file.parseError = formatDiagnostic(diagnostics[0]);
+  }
+  file.signatures = dedupeSignatures(result.signatures);
+
+  // Functions and their calls, for the project-wide call graph, and the node of the default export
+  const callGraphEntries = [];
+  let defaultFunction = null;
+  file.signatures.forEach(entry => {
+    // Class methods are call graph nodes under Class.method
+    if (entry.kind === 'class') {
+      entry.members.forEach(member => {
+        if (member.kind !== 'field' && entry.name) {
+          callGraphEntries.push({ relativePath: file.path, functionName: `${entry.name}.${member.name}`, methodCalls: member.methodCalls });
+        }
+      });
+      return;
+    }
+
+    const functionName = extractDisplayName(entry.signature);
+    if (functionName) {
+      callGraphEntries.push({ relativePath: file.path, functionName, methodCalls: entry.methodCalls || [] });
+      if (entry.isDefault) {
+        defaultFunction = functionName;
+      }
+    }
+  });
+
+  state.summaries.set(file, {
+    callGraphEntries,
+    defaultFunction,
+    hotspots: rankHotspots([file], hotspotLimit),
+    unusedFunctions: findUnusedFunctions(file),
+    declarations: [...file.signatures, ...file.types].map(({ name, startLine }) => ({ name, startLine }))
+  });
+
+  if (state.spill) {
+    const details = {};
+    DETAIL_FIELDS.forEach(field => {
+      details[field] = file[field];
+      delete file[field];
+    });
+    state.details.set(file, state.spill.write(details));
+  }
+}
+
+// Function to remove what a model that won't be finished wrote to disk
+function discardModel(state) {
+  if (state.spill) {
+    state.spill.close();
+  }
+}
+
+// Function to build the model once every pending file of a started model has its result
+function finishModel(context, state) {
+  const {
+    root,
+    config,
+    maxDepth,
+    changedSince,
+    analyzeSources,
+    hotspotLimit,
+    strict,
+    allFiles,
+    directories,
+    changedFiles,
+    cache,
+    extractOptions
+  } = context;
+  const { files, otherFiles, summaries, details, spill } = state;
+  const summaryOf = file => summaries.get(file) || { callGraphEntries: [], defaultFunction: null, hotspots: [], unusedFunctions: [], declarations: [] };
+
+  // Drop cache entries for edited and deleted files, unless part of the tree was skipped or
+  // results came from memory, which leaves their entries unmarked
+  if (maxDepth === Infinity && !changedFiles && !state.reusedResults) {
+    cache.prune();
+  }
+
+  if (strict) {
+    const failedFiles = files.filter(file => file.diagnostics.length > 0);
+    if (failedFiles.length > 0) {
+      const list = failedFiles.map(file => `\n  ${file.path}: ${file.parseError}`).join('');
+      throw new Error(`${failedFiles.length} file(s) failed to parse:${list}`);
+    }
+  }
+
+  // Re-exports are followed across files, so they are expanded once every file is analysed
+  const reExports = expandReExports(files, file => summaryOf(file).declarations);
+  files.forEach(file => {
+    file.reExports = reExports.get(file.path) || [];
+  });
+
+  // With changedSince, only directories holding a listed file are kept
+  const listedPaths = [...files, ...otherFiles].map(file => file.path);
+  const listedDirectories = changedFiles
+    ? directories.filter(dir => listedPaths.some(filePath => filePath.startsWith(`${dir}${path.sep}`)))
+    : directories;
+
+  const extractedFiles = files.filter(file => summaries.has(file));
+
+  // Calls to a default import or a re-exported name are labelled as the importer sees them, and
+  // lead to the function declared under another name or in another file
+  const callAliases = new Map();
+  extractedFiles.forEach(file => {
+    const { defaultFunction } = summaryOf(file);
+    if (defaultFunction && defaultFunction !== 'default') {
+      callAliases.set(`${file.path}#default`, `${file.path}#${defaultFunction}`);
+    }
+    file.reExports.forEach(({ name, definedIn }) => {
+      if (definedIn && definedIn.name !== '*') {
+        callAliases.set(`${file.path}#${name}`, `${definedIn.path}#${definedIn.name}`);
+      }
+    });
+  });
+  const model = {
+    root,
+    changedSince,
+    files,
+    otherFiles,
+    directories: listedDirectories,
+    dependencyGraph: buildDependencyGraph(extractedFiles.map(file => ({ relativePath: file.path, dependencies: file.imports }))),
+    callGraph: buildCallGraph(files.flatMap(file => summaryOf(file).callGraphEntries), callAliases),
+    hotspots: selectHotspots(files.flatMap(file => summaryOf(file).hotspots), hotspotLimit),
+    deadCode: analyzeSources && maxDepth === Infinity && !changedFiles
+      ? findDeadCode(files, findEntryPoints(allFiles, config.entryPoints, extractOptions.resolveImport), file => summaryOf(file).unusedFunctions)
+      : null,
+    cycles: findCycles(files),
+    cache: { enabled: cache.enabled, hits: cache.stats.hits, misses: cache.stats.misses },
+    readFile: file => (details.has(file) ? { ...file, ...spill.read(details.get(file)) } : file),
+    close: () => discardModel(state)
+  };
+
+  // The summaries are only needed for the sections above
+  summaries.clear();
+  return model;
+}
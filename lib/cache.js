@@ -0,0 +1,94 @@
+/**
+ * Persistent on-disk cache of per-file analysis results, shared by the commands in lib/commands/
+ *
+ * Entries live under .code-structure-cache/<namespace>/ in the scanned directory, one JSON file
+ * per entry. Each file name is a hash of the cache format, the tool version, the options that
+ * affect the result, the file's relative path and its content hash, so an edited file misses.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Bump when the shape of cached results changes without a package version bump
+const CACHE_FORMAT_VERSION = 19;
+
+export const CACHE_DIR_NAME = '.code-structure-cache';
+
+const TOOL_VERSION = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+
+// Function to hash a string to a hex digest
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Function to create a cache for one tool; a disabled cache misses every lookup and stores nothing
+export function createAnalysisCache({ rootDir, namespace, options = {}, enabled = true }) {
+  const cacheDir = path.join(rootDir, CACHE_DIR_NAME, namespace);
+  const optionsKey = JSON.stringify(options);
+  const usedEntries = new Set();
+  const stats = { hits: 0, misses: 0 };
+
+  function entryFileName(relativePath, content) {
+    const key = [CACHE_FORMAT_VERSION, TOOL_VERSION, optionsKey, relativePath, hash(content)].join('\0');
+    return `${hash(key)}.json`;
+  }
+
+  return {
+    enabled,
+    stats,
+
+    get(relativePath, content) {
+      if (!enabled) {
+        return undefined;
+      }
+
+      const fileName = entryFileName(relativePath, content);
+      usedEntries.add(fileName);
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(cacheDir, fileName), 'utf8'));
+        stats.hits++;
+        return entry.result;
+      } catch (error) {
+        // Missing or unreadable entries are misses
+        stats.misses++;
+        return undefined;
+      }
+    },
+
+    set(relativePath, content, result) {
+      if (!enabled) {
+        return;
+      }
+
+      const fileName = entryFileName(relativePath, content);
+      usedEntries.add(fileName);
+      try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        // Write then rename, so a concurrent reader never sees a partial entry
+        const tempPath = path.join(cacheDir, `${fileName}.${process.pid}.tmp`);
+        fs.writeFileSync(tempPath, JSON.stringify({ path: relativePath, result }), 'utf8');
+        fs.renameSync(tempPath, path.join(cacheDir, fileName));
+      } catch (error) {
+        // A cache that can't be written only costs speed
+      }
+    },
+
+    // Remove entries that this run did not use, such as those for edited or deleted files
+    prune() {
+      if (!enabled || !fs.existsSync(cacheDir)) {
+        return;
+      }
+
+      for (const fileName of fs.readdirSync(cacheDir)) {
+        if (!usedEntries.has(fileName)) {
+          try {
+            fs.unlinkSync(path.join(cacheDir, fileName));
+          } catch (error) {
+            // Another run may have removed it already
+          }
+        }
+      }
+    }
+  };
+}
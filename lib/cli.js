@@ -0,0 +1,293 @@
+/**
+ * Command-line interface: one `code-structure` program with report, tree, diff, stats, check, jsdoc, unused, cycles and graph subcommands
+ *
+ * Options are validated here, before any command runs, so a typo fails with a message and exit code 1
+ * instead of being ignored. Errors raised while a command runs are reported the same way.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Command, Option, InvalidArgumentError } from 'commander';
+import { CACHE_DIR_NAME } from './cache.js';
+import { DEFAULT_JOBS } from './workers.js';
+import { loadConfig } from './config.js';
+import { verifyRef } from './git.js';
+import { reportCommand } from './commands/report.js';
+import { treeCommand } from './commands/tree.js';
+import { diffCommand } from './commands/diff.js';
+import { statsCommand } from './commands/stats.js';
+import { checkCommand, DEFAULT_BASELINE_FILE } from './commands/check.js';
+import { jsdocCommand } from './commands/jsdoc.js';
+import { unusedCommand } from './commands/unused.js';
+import { cyclesCommand } from './commands/cycles.js';
+import { graphCommand } from './commands/graph.js';
+
+// Get directory name in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory above the package, scanned by `report` when no directory is given
+const projectRootDir = path.resolve(__dirname, '..', '..');
+
+const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+
+// Supported output formats
+const OUTPUT_FORMATS = ['markdown', 'json'];
+
+// Output formats of the report, which can also be a standalone HTML page
+const REPORT_FORMATS = [...OUTPUT_FORMATS, 'html'];
+
+// Exit codes listed at the end of the top-level help
+const EXIT_CODES_HELP = `
+Exit codes:
+  0  Success
+  1  Invalid arguments, the command failed, or check found violations`;
+
+// Function to parse --depth, which must be a whole number
+function parseDepth(value) {
+  const depth = Number(value);
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(depth)) {
+    throw new InvalidArgumentError('Depth must be a non-negative integer.');
+  }
+  return depth;
+}
+
+// Function to parse --hotspots, which must be a whole number
+function parseLimit(value) {
+  const limit = Number(value);
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(limit)) {
+    throw new InvalidArgumentError('Must be a non-negative integer.');
+  }
+  return limit;
+}
+
+// Function to parse --top, which must be a positive whole number
+function parseCount(value) {
+  const count = Number(value);
+  if (!/^\d+$/.test(value) || count < 1) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+  return count;
+}
+
+// Helper function to add the options every scanning subcommand shares
+function addScanOptions(command) {
+  return command
+    .addOption(new Option('-d, --depth <n>', 'maximum directory depth to scan').argParser(parseDepth).default(Infinity, 'unlimited'))
+    .option('-c, --config <path>', 'configuration file (default: .code-structure.json in the scanned directory)')
+    .option('--no-cache', `re-parse every file instead of reusing ${CACHE_DIR_NAME}/`)
+    .option('--changed-since <ref>', 'only include files changed since a git ref, including uncommitted ones')
+    .option('--no-gitignore', 'include files that .gitignore excludes')
+    .option('--strict', 'fail if a source file has a syntax error, instead of skipping the lines with errors')
+    .addOption(new Option('-j, --jobs <n>', 'number of worker threads that parse files').argParser(parseCount).default(DEFAULT_JOBS, 'one per CPU'));
+}
+
+// Helper function to run part of a command, reporting a failure with exit code 1
+// Usage mistakes are reported by commander instead, followed by a pointer to --help.
+// An action that returns a promise is awaited, so the caller should return the result to commander.
+function runAction(action) {
+  const fail = error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  };
+
+  try {
+    const result = action();
+    return result instanceof Promise ? result.catch(fail) : result;
+  } catch (error) {
+    fail(error);
+  }
+}
+
+// Function to resolve the scanned directory and configuration of a scanning subcommand
+// Returns the options with config (and configPath when --config was given) filled in
+function prepareScan(command, directory, options) {
+  const scanDir = path.resolve(process.cwd(), directory);
+  if (!fs.existsSync(scanDir) || !fs.statSync(scanDir).isDirectory()) {
+    command.error(`error: directory ${scanDir} does not exist`);
+  }
+
+  const configPath = options.config ? path.resolve(process.cwd(), options.config) : null;
+  let config;
+  runAction(() => {
+    config = loadConfig(scanDir, { configPath });
+
+    // Check the ref before scanning, so a typo fails with git's message rather than a stack trace
+    if (options.changedSince) {
+      verifyRef(scanDir, options.changedSince);
+    }
+  });
+
+  return { scanDir, options: { ...options, config, configPath } };
+}
+
+// Function to create the program; argv is parsed by the caller
+export function createProgram() {
+  const program = new Command();
+
+  program
+    .name('code-structure')
+    .description('Generate and compare summaries of the files, functions and types in a JavaScript or TypeScript codebase')
+    .version(version)
+    .showHelpAfterError('(add --help for usage information)')
+    .addHelpText('after', EXIT_CODES_HELP);
+
+  addScanOptions(
+    program
+      .command('report', { isDefault: true })
+      .description('write the structure report as Markdown, JSON or HTML (the default command)')
+      .argument('[directory]', 'directory to scan (default: the directory containing this package)')
+      .option('-o, --output <file>', 'output file, relative to the scanned directory (default: codebase-structure.md, .json or .html)')
+      .addOption(new Option('-f, --format <format>', 'output format').choices(REPORT_FORMATS).default('markdown'))
+      .option('--no-jsdoc', 'exclude JSDoc descriptions from the output')
+      .option('-w, --watch', 'keep running and regenerate the output when scanned files change')
+      .option('--hotspots <n>', 'number of most complex functions to list', parseLimit, 10)
+      .option('--stdout', 'also print the report to stdout, with progress messages on stderr')
+      .option('-q, --quiet', "don't print progress messages")
+  )
+    .addHelpText('after', `
+The JSON format follows schema/code-structure.v1.schema.json. Its schemaVersion is only
+incremented for changes that break existing consumers; new optional fields may be added.
+The HTML format is a single page with inline scripts and styles that works offline.
+The report is written to the output file as it is rendered; --stdout also prints it.`)
+    .action(function (directory, options) {
+      const scan = prepareScan(this, directory || projectRootDir, options);
+      return runAction(() => reportCommand(scan.scanDir, scan.options));
+    });
+
+  addScanOptions(
+    program
+      .command('tree')
+      .description('print the directory tree with the exported functions, classes and types of each file')
+      .argument('[directory]', 'directory to scan', '.')
+      .option('--no-methods', "don't show functions and classes under files")
+      .option('--all-methods', 'show every function, class and type, not only exported ones')
+  )
+    .action(function (directory, options) {
+      const scan = prepareScan(this, directory, options);
+      return runAction(() => treeCommand(scan.scanDir, scan.options));
+    });
+
+  program
+    .command('diff')
+    .description('compare two snapshots and flag changes that break the exported API')
+    .argument('<old>', 'JSON report written by `code-structure report --format json`, or a git ref')
+    .argument('[new]', 'JSON report or git ref (default: the working tree)')
+    .option('--dir <directory>', 'directory to analyse when comparing git refs', '.')
+    .option('-c, --config <path>', 'configuration file for analysed snapshots (default: .code-structure.json in each)')
+    .addOption(new Option('-f, --format <format>', 'output format').choices(OUTPUT_FORMATS).default('markdown'))
+    .option('-o, --output <file>', 'write the diff to a file instead of the console')
+    .action(function (oldSource, newSource, options) {
+      const dir = path.resolve(process.cwd(), options.dir);
+      if (!fs.existsSync(dir)) {
+        this.error(`error: directory ${dir} does not exist`);
+      }
+      const configPath = options.config ? path.resolve(process.cwd(), options.config) : null;
+      const output = options.output ? path.resolve(process.cwd(), options.output) : null;
+
+      runAction(() => diffCommand(oldSource, newSource === undefined ? null : newSource, {
+        dir,
+        configPath,
+        format: options.format,
+        output
+      }));
+    });
+
+  addScanOptions(
+    program
+      .command('stats')
+      .description('print counts of files, lines, functions, classes, types and imports')
+      .argument('[directory]', 'directory to scan', '.')
+      .addOption(new Option('-f, --format <format>', 'output format').choices(['text', 'json']).default('text'))
+      .option('--top <n>', 'number of largest files, longest and most complex functions to list', parseCount, 5)
+  )
+    .action(function (directory, options) {
+      const scan = prepareScan(this, directory, options);
+      return runAction(() => statsCommand(scan.scanDir, scan.options));
+    });
+
+  addScanOptions(
+    program
+      .command('check')
+      .description('exit with code 1 when the thresholds set in the configuration are exceeded')
+      .argument('[directory]', 'directory to scan', '.')
+      .option('-b, --baseline <file>', `violations to accept (default: ${DEFAULT_BASELINE_FILE} in the scanned directory, if present)`)
+      .option('--update-baseline', 'write the current violations to the baseline file and exit')
+      .addOption(new Option('-f, --format <format>', 'output format').choices(['text', 'json']).default('text'))
+  )
+    .addHelpText('after', `
+Thresholds are set under "thresholds" in .code-structure.json:
+  maxFileLines, maxFunctionLines, maxComplexity, maxCognitiveComplexity   numbers
+  requireJsDocOnExports, noParseErrors, noCycles                           true or false`)
+    .action(function (directory, options) {
+      const scan = prepareScan(this, directory, options);
+      const baseline = options.baseline ? path.resolve(process.cwd(), options.baseline) : null;
+      return runAction(() => checkCommand(scan.scanDir, { ...scan.options, baseline }));
+    });
+
+  addScanOptions(
+    program
+      .command('jsdoc')
+      .description('print the JSDoc coverage of exported functions and @param tags that disagree with the code')
+      .argument('[directory]', 'directory to scan', '.')
+      .addOption(new Option('-f, --format <format>', 'output format').choices(['text', 'json']).default('text'))
+  )
+    .action(function (directory, options) {
+      const scan = prepareScan(this, directory, options);
+      return runAction(() => jsdocCommand(scan.scanDir, scan.options));
+    });
+
+  addScanOptions(
+    program
+      .command('unused')
+      .description('list files no other file imports, exports nothing imports and functions nothing uses')
+      .argument('[directory]', 'directory to scan', '.')
+      .addOption(new Option('-f, --format <format>', 'output format').choices(['text', 'json']).default('text'))
+  )
+    .addHelpText('after', `
+Entry points are never reported: the main, module, bin and exports targets of each scanned
+package.json, and files matching the "entryPoints" globs in .code-structure.json.`)
+    .action(function (directory, options) {
+      const scan = prepareScan(this, directory, options);
+      return runAction(() => unusedCommand(scan.scanDir, scan.options));
+    });
+
+  addScanOptions(
+    program
+      .command('cycles')
+      .description('list import cycles between modules, with the import lines that close them')
+      .argument('[directory]', 'directory to scan', '.')
+      .addOption(new Option('-f, --format <format>', 'output format').choices(['text', 'json']).default('text'))
+  )
+    .addHelpText('after', `
+Dynamic import() and TypeScript type-only imports are not followed. To fail on new cycles only,
+set "noCycles": true under "thresholds" in .code-structure.json and run \`check\` with a baseline.`)
+    .action(function (directory, options) {
+      const scan = prepareScan(this, directory, options);
+      return runAction(() => cyclesCommand(scan.scanDir, scan.options));
+    });
+
+  addScanOptions(
+    program
+      .command('graph')
+      .description('draw the module dependency graph, or the call graph, as a Mermaid or Graphviz DOT diagram')
+      .argument('[directory]', 'directory to scan', '.')
+      .addOption(new Option('-f, --format <format>', 'diagram format').choices(['mermaid', 'dot']).default('mermaid'))
+      .option('--calls', 'draw the call graph between functions instead of imports between modules')
+      .option('--focus <node>', 'only draw what is connected to a file, or to a function given as name or file#name')
+      .option('--hops <n>', 'with --focus, only draw nodes at most n imports or calls away (default: unlimited)', parseLimit)
+      .option('--cluster', 'group nodes in one box per directory')
+      .option('-o, --output <file>', 'write the diagram to a file instead of the console')
+  )
+    .addHelpText('after', `
+Paths given to --focus are relative to the scanned directory. With --format mermaid, an output
+file ending in .md gets the diagram in a \`\`\`mermaid block, which renders in Markdown viewers.`)
+    .action(function (directory, options) {
+      const scan = prepareScan(this, directory, options);
+      const output = options.output ? path.resolve(process.cwd(), options.output) : null;
+      return runAction(() => graphCommand(scan.scanDir, { ...scan.options, output }));
+    });
+
+  return program;
+}
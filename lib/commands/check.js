@@ -0,0 +1,85 @@
+/**
+ * `code-structure check`: fail when the thresholds in the configuration are exceeded, for use in CI
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { analyzeInParallel } from '../analyze.js';
+import { validateThresholds, findViolations, createBaseline, applyBaseline } from '../gate.js';
+
+// Baseline file looked for in the scanned directory when --baseline is not given
+export const DEFAULT_BASELINE_FILE = '.code-structure-baseline.json';
+
+// Function to run the check command on a directory with options parsed by lib/cli.js
+// Sets the exit code to 1 when there are violations the baseline doesn't accept
+export async function checkCommand(customRootDir, options) {
+  const {
+    config,
+    depth: maxDepth,
+    cache: useCache,
+    gitignore: useGitignore,
+    changedSince,
+    baseline,
+    updateBaseline,
+    format,
+    jobs,
+    strict
+  } = options;
+
+  validateThresholds(config.thresholds);
+  if (Object.keys(config.thresholds).length === 0) {
+    console.error('No thresholds set in the configuration; nothing to check');
+    return;
+  }
+
+  const baselinePath = baseline || path.join(customRootDir, DEFAULT_BASELINE_FILE);
+  const model = await analyzeInParallel(customRootDir, { config, maxDepth, useCache, useGitignore, changedSince, hotspotLimit: 0, jobs, strict });
+  const allViolations = findViolations(model, config.thresholds);
+
+  if (updateBaseline) {
+    fs.writeFileSync(baselinePath, `${JSON.stringify(createBaseline(allViolations), null, 2)}\n`, 'utf8');
+    console.log(`Baseline with ${allViolations.length} violation(s) written to ${baselinePath}`);
+    return;
+  }
+
+  // An explicit baseline must exist; the default one is optional
+  let result = { violations: allViolations, baselined: 0, fixed: 0 };
+  if (baseline || fs.existsSync(baselinePath)) {
+    let baselineDocument;
+    try {
+      baselineDocument = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read baseline file ${baselinePath}: ${error.message}`);
+    }
+    result = applyBaseline(allViolations, baselineDocument);
+  }
+
+  // Entries for files outside a partial scan would look fixed, so they are only reported after a full scan
+  const fullScan = maxDepth === Infinity && !changedSince;
+
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify({
+      violations: result.violations,
+      baselined: result.baselined,
+      ...(fullScan ? { fixed: result.fixed } : {})
+    }, null, 2)}\n`);
+  } else {
+    result.violations.forEach(({ rule, path: filePath, line, message }) => {
+      console.log(`${filePath}:${line}  ${rule}  ${message}`);
+    });
+
+    let summary = `${result.violations.length} violation(s)`;
+    if (result.baselined > 0) {
+      summary += `, ${result.baselined} more accepted by the baseline`;
+    }
+    console.log(`${result.violations.length > 0 ? '\n' : ''}${summary}`);
+
+    if (fullScan && result.fixed > 0) {
+      console.log(`${result.fixed} baseline entr${result.fixed === 1 ? 'y no longer occurs' : 'ies no longer occur'}; run with --update-baseline to drop them`);
+    }
+  }
+
+  if (result.violations.length > 0) {
+    process.exitCode = 1;
+  }
+}
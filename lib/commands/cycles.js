@@ -0,0 +1,42 @@
+/**
+ * `code-structure cycles`: list the import cycles between scanned modules
+ */
+
+import { analyzeInParallel } from '../analyze.js';
+import { formatCycleChain } from '../cycles.js';
+
+// Function to format the import cycles of a model as plain text
+function formatCycles(cycles) {
+  let content = '';
+
+  cycles.forEach((cycle, index) => {
+    content += `Cycle ${index + 1}: ${formatCycleChain(cycle)}\n`;
+    cycle.imports.forEach(({ from, source, line }) => {
+      content += `  ${from}:${line}  imports ${source}\n`;
+    });
+    content += '\n';
+  });
+
+  content += `${cycles.length} import cycle(s)\n`;
+  return content;
+}
+
+// Function to run the cycles command on a directory with options parsed by lib/cli.js
+export async function cyclesCommand(customRootDir, { config, depth, cache, gitignore, changedSince, format, jobs, strict }) {
+  const model = await analyzeInParallel(customRootDir, {
+    config,
+    maxDepth: depth,
+    useCache: cache,
+    useGitignore: gitignore,
+    changedSince,
+    hotspotLimit: 0,
+    jobs,
+    strict
+  });
+
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(model.cycles, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatCycles(model.cycles));
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * `code-structure diff`: compare the structure of two snapshots and flag changes to exported functions
+ *
+ * Each side is a JSON report written by `code-structure report --format json`, a git ref, or, for the
+ * new side only, the working tree.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../analyze.js';
+import { loadConfig } from '../config.js';
+import { checkoutRef } from '../git.js';
+import { buildJsonReport } from '../report.js';
+import { assertReport, diffReports, formatDiff } from '../diff.js';
+
+// Function to run the diff command with options parsed by lib/cli.js
+export function diffCommand(oldSource, newSource, { dir: scanDir, configPath, format: outputFormat, output }) {
+  // Function to analyse a directory into a JSON report
+  function analyseDirectory(dirPath, useCache) {
+    const config = loadConfig(dirPath, { configPath });
+    return buildJsonReport(analyze(dirPath, { config, useCache }));
+  }
+
+  // Function to load one side of the comparison: a report file, a git ref, or the working tree
+  function loadSnapshot(source, tempDir, name) {
+    if (source === null) {
+      return { label: 'working tree', report: analyseDirectory(scanDir, true) };
+    }
+
+    if (source.endsWith('.json') && fs.existsSync(source)) {
+      const report = JSON.parse(fs.readFileSync(source, 'utf8'));
+      assertReport(report, source);
+      return { label: source, report };
+    }
+
+    // Anything else is taken as a git ref; checked-out files are new to the cache, so skip it
+    const refDir = checkoutRef(scanDir, source, path.join(tempDir, name));
+    return { label: source, report: analyseDirectory(refDir, false) };
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-structure-diff-'));
+  try {
+    const oldSnapshot = loadSnapshot(oldSource, tempDir, 'old');
+    const newSnapshot = loadSnapshot(newSource, tempDir, 'new');
+    const diff = diffReports(oldSnapshot.report, newSnapshot.report);
+
+    const content = outputFormat === 'json'
+      ? `${JSON.stringify({ old: oldSnapshot.label, new: newSnapshot.label, ...diff }, null, 2)}\n`
+      : formatDiff(diff, oldSnapshot.label, newSnapshot.label);
+
+    if (output) {
+      fs.writeFileSync(output, content, 'utf8');
+      console.log(`Diff written to ${output}`);
+    } else {
+      process.stdout.write(content);
+    }
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * `code-structure graph`: draw the module dependency graph or the call graph as Mermaid or Graphviz DOT
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { analyzeInParallel } from '../analyze.js';
+import { buildDiagram, formatMermaid, formatDot } from '../diagram.js';
+
+// Function to run the graph command on a directory with options parsed by lib/cli.js
+export async function graphCommand(customRootDir, { config, depth, cache, gitignore, changedSince, jobs, strict, format, calls, focus, hops, cluster, output }) {
+  if (hops !== undefined && !focus) {
+    throw new Error('--hops needs --focus to count hops from');
+  }
+
+  const model = await analyzeInParallel(customRootDir, {
+    config,
+    maxDepth: depth,
+    useCache: cache,
+    useGitignore: gitignore,
+    changedSince,
+    skipPaths: output ? [output] : [],
+    hotspotLimit: 0,
+    jobs,
+    strict
+  });
+
+  const diagram = buildDiagram(model, { calls, focus: focus || null, hops: hops === undefined ? Infinity : hops });
+  let content = format === 'dot' ? formatDot(diagram, { cluster }) : formatMermaid(diagram, { cluster });
+
+  if (!output) {
+    process.stdout.write(content);
+    return;
+  }
+
+  // In a Markdown file, a fenced Mermaid block renders as the diagram
+  if (format === 'mermaid' && /\.(md|markdown)$/i.test(output)) {
+    content = `\`\`\`mermaid\n${content}\`\`\`\n`;
+  }
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, content, 'utf8');
+  console.log(`${calls ? 'Call' : 'Dependency'} graph with ${diagram.nodes.length} node(s) written to ${output}`);
+}
@@ -0,0 +1,27 @@
+/**
+ * `code-structure jsdoc`: print JSDoc coverage of exported functions and mismatched @param tags
+ */
+
+import { analyzeInParallel } from '../analyze.js';
+import { buildJSDocReport, formatJSDocReport } from '../jsdoc.js';
+
+// Function to run the jsdoc command on a directory with options parsed by lib/cli.js
+export async function jsdocCommand(customRootDir, { config, depth, cache, gitignore, changedSince, format, jobs, strict }) {
+  const model = await analyzeInParallel(customRootDir, {
+    config,
+    maxDepth: depth,
+    useCache: cache,
+    useGitignore: gitignore,
+    changedSince,
+    hotspotLimit: 0,
+    jobs,
+    strict
+  });
+
+  const report = buildJSDocReport(model);
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatJSDocReport(report));
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * `code-structure report`: write the Markdown, JSON or HTML structure report, optionally in watch mode
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { analyzeInParallel } from '../analyze.js';
+import { createPathFilter } from '../glob.js';
+import { createGitignoreFilter } from '../gitignore.js';
+import { generateMarkdown, generateJsonReport } from '../report.js';
+import { generateHtml } from '../html.js';
+
+// How long watch mode waits after the last change before regenerating, so a burst of saves runs once
+const WATCH_DEBOUNCE_MS = 300;
+
+// Extension of the default output file of each format
+const OUTPUT_EXTENSIONS = { markdown: 'md', json: 'json', html: 'html' };
+
+// Renderer of each format, which yields the report in parts (see lib/report.js and lib/html.js)
+const GENERATORS = { markdown: generateMarkdown, json: generateJsonReport, html: generateHtml };
+
+// Function to write a report to a file part by part as it is rendered, optionally copying it to stdout
+function writeReport(outputFile, parts, echo) {
+  const fd = fs.openSync(outputFile, 'w');
+  try {
+    for (const part of parts) {
+      fs.writeSync(fd, part);
+      if (echo) {
+        process.stdout.write(part);
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Function to run the report command on a directory with options parsed by lib/cli.js
+export async function reportCommand(customRootDir, options) {
+  const {
+    config,
+    configPath,
+    output,
+    format: outputFormat,
+    depth: maxDepth,
+    jsdoc: includeJsDoc,
+    cache: useCache,
+    gitignore: useGitignore,
+    changedSince,
+    watch: watchMode,
+    hotspots: hotspotLimit,
+    jobs,
+    strict,
+    quiet,
+    stdout: echo
+  } = options;
+
+  // Resolve output file path relative to the directory being scanned
+  let outputFile = output || `codebase-structure.${OUTPUT_EXTENSIONS[outputFormat]}`;
+  if (!path.isAbsolute(outputFile)) {
+    outputFile = path.join(customRootDir, outputFile);
+  }
+  // Ensure parent directory exists
+  const outputDir = path.dirname(outputFile);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // Set the configuration variables for use throughout the command
+  const EXCLUDE_PATHS = config.excludePaths;
+  const EXCLUDE_FILES = config.excludeFiles;
+  const INCLUDE_EXTENSIONS = config.includeExtensions;
+
+  // Watch events are filtered with the same patterns and .gitignore rules as the scan
+  const pathFilter = createPathFilter(config);
+  const gitignore = createGitignoreFilter(customRootDir, { enabled: useGitignore });
+
+  // In watch mode, line counts and analysis results of unchanged files are kept between runs
+  const watchState = watchMode ? { lineCounts: new Map(), results: new Map() } : null;
+
+  // Progress messages move to stderr when stdout carries the report
+  const log = quiet ? () => {} : (echo ? console.error : console.log);
+
+  log(`Generating codebase structure...`);
+  log(`Directory to scan: ${customRootDir}`);
+  log(`Output file: ${outputFile}`);
+  log(`Maximum depth: ${maxDepth === Infinity ? 'unlimited' : maxDepth}`);
+  log(`Include JSDoc: ${includeJsDoc ? 'yes' : 'no'}`);
+  if (configPath) {
+    log(`Config file: ${configPath}`);
+  }
+  if (changedSince) {
+    log(`Changed since: ${changedSince}`);
+  }
+  if (EXCLUDE_PATHS.length > 0) {
+    log(`Excluded paths: ${EXCLUDE_PATHS.join(', ')}`);
+  }
+  if (EXCLUDE_FILES.length > 0) {
+    log(`Excluded files: ${EXCLUDE_FILES.join(', ')}`);
+  }
+  if (config.exclude.length > 0) {
+    log(`Exclude patterns: ${config.exclude.join(', ')}`);
+  }
+  if (config.include.length > 0) {
+    log(`Include patterns: ${config.include.join(', ')}`);
+  }
+
+  // Function to analyse the directory and write the output file
+  async function generateStructure() {
+    const model = await analyzeInParallel(customRootDir, {
+      config,
+      maxDepth,
+      includeJsDoc,
+      useCache,
+      useGitignore,
+      changedSince,
+      skipPaths: [outputFile],
+      watchState,
+      hotspotLimit,
+      jobs,
+      strict,
+      // Each file's details wait on disk until the report reaches the file
+      spillDetails: true
+    });
+
+    if (model.cache.enabled) {
+      log(`Cache: ${model.cache.hits} reused, ${model.cache.misses} parsed`);
+    }
+
+    try {
+      writeReport(outputFile, GENERATORS[outputFormat](model), echo);
+    } finally {
+      model.close();
+    }
+    log(`Structure written to ${outputFile}`);
+  }
+
+  await generateStructure();
+
+  if (watchMode) {
+    watchForChanges();
+  }
+
+  // Function to tell whether a changed path can affect the output
+  function isWatchedPath(relativePath) {
+    const segments = relativePath.split(path.sep);
+    const absolutePath = path.join(customRootDir, relativePath);
+
+    // Hidden files and directories, including the cache, are never scanned
+    if (absolutePath === outputFile || segments.some(segment => segment.startsWith('.'))) {
+      return false;
+    }
+    if (segments.length - 1 > maxDepth) {
+      return false;
+    }
+    for (let i = 1; i < segments.length; i++) {
+      if (pathFilter.excludesDirectory(segments.slice(0, i).join(path.sep))) {
+        return false;
+      }
+    }
+
+    // Directories and deleted paths have no extension to check
+    let isDirectory = true;
+    try {
+      isDirectory = fs.statSync(absolutePath).isDirectory();
+    } catch (error) {
+      // Deleted; treat it like a directory that may have held scanned files
+    }
+    if (gitignore.ignores(absolutePath, isDirectory)) {
+      return false;
+    }
+    if (isDirectory) {
+      return !pathFilter.excludesDirectory(relativePath);
+    }
+    return pathFilter.includesFile(relativePath) && INCLUDE_EXTENSIONS.includes(path.extname(relativePath));
+  }
+
+  // Function to regenerate the output whenever scanned files change
+  function watchForChanges() {
+    const changedPaths = new Set();
+    let structureChanged = false;
+    let debounceTimer = null;
+    let generating = false;
+
+    // The configuration is only read at startup, so edits to it need a restart
+    const configFile = configPath || path.join(customRootDir, '.code-structure.json');
+
+    async function regenerate() {
+      debounceTimer = null;
+
+      // Changes made while the output is being generated wait for the next run
+      if (generating) {
+        debounceTimer = setTimeout(regenerate, WATCH_DEBOUNCE_MS);
+        return;
+      }
+
+      for (const relativePath of changedPaths) {
+        const absolutePath = path.join(customRootDir, relativePath);
+        // Forget the path and, if it was a directory, everything below it
+        for (const memo of [watchState.lineCounts, watchState.results]) {
+          for (const filePath of memo.keys()) {
+            if (filePath === absolutePath || filePath.startsWith(`${absolutePath}${path.sep}`)) {
+              memo.delete(filePath);
+            }
+          }
+        }
+      }
+
+      // Added, deleted and renamed files can change how other files' imports resolve; those
+      // results are re-read through the on-disk cache, which only re-parses edited files
+      if (structureChanged) {
+        watchState.results.clear();
+      }
+
+      log(`\n${changedPaths.size} path(s) changed, regenerating...`);
+      changedPaths.clear();
+      structureChanged = false;
+
+      generating = true;
+      try {
+        await generateStructure();
+      } catch (error) {
+        console.error('Error generating structure:', error);
+      } finally {
+        generating = false;
+      }
+    }
+
+    let watcher;
+    try {
+      watcher = fs.watch(customRootDir, { recursive: true }, (eventType, fileName) => {
+        if (!fileName) {
+          // Some platforms omit the name; rescan everything
+          watchState.lineCounts.clear();
+          structureChanged = true;
+        } else if (path.join(customRootDir, fileName) === configFile || path.basename(fileName) === '.gitignore') {
+          log(`${fileName} changed; restart watch mode to apply it`);
+          return;
+        } else if (!isWatchedPath(fileName)) {
+          return;
+        } else {
+          changedPaths.add(fileName);
+          // Editors often save by renaming a temporary file, which is reported the same way
+          if (eventType === 'rename') {
+            structureChanged = true;
+          }
+        }
+
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(regenerate, WATCH_DEBOUNCE_MS);
+      });
+    } catch (error) {
+      throw new Error(`Unable to watch ${customRootDir}: ${error.message}`);
+    }
+
+    watcher.on('error', error => {
+      console.error(`Error watching ${customRootDir}: ${error.message}`);
+      process.exit(1);
+    });
+
+    log(`\nWatching ${customRootDir} for changes (press Ctrl+C to stop)...`);
+  }
+}
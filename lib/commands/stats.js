@@ -0,0 +1,169 @@
+/**
+ * `code-structure stats`: print summary counts for a directory instead of the full report
+ */
+
+import { analyzeInParallel } from '../analyze.js';
+
+// Function to total up the files, lines, functions, classes, complexity, types and imports of a model
+function summarize(model, top = 5) {
+  const sourceFiles = model.files.filter(file => file.language === 'javascript' || file.language === 'typescript');
+  const functions = [];
+  const classes = [];
+
+  sourceFiles.forEach(file => {
+    file.signatures.forEach(entry => {
+      if (entry.kind === 'class') {
+        classes.push({ path: file.path, ...entry });
+      } else if (entry.kind && entry.kind !== 'value') {
+        functions.push({ path: file.path, ...entry });
+      }
+    });
+  });
+
+  const languages = {};
+  model.files.forEach(file => {
+    languages[file.language] = (languages[file.language] || 0) + 1;
+  });
+
+  const types = sourceFiles.flatMap(file => file.types);
+  const complexities = [
+    ...functions,
+    ...classes.flatMap(entry => entry.members)
+  ].filter(entry => entry.metrics).map(entry => entry.metrics.cyclomatic);
+  const allFiles = [...model.files, ...model.otherFiles];
+
+  // Recovered files were read without the lines that have errors, so only the others have no results
+  const filesWithErrors = sourceFiles.filter(file => file.parseError);
+  const isRecovered = file => file.diagnostics.every(diagnostic => diagnostic.recovered);
+
+  return {
+    root: model.root,
+    changedSince: model.changedSince,
+    files: {
+      total: allFiles.length,
+      analysed: model.files.length,
+      byLanguage: languages,
+      parseErrors: filesWithErrors.filter(file => !isRecovered(file)).map(file => file.path),
+      recovered: filesWithErrors.filter(isRecovered).map(file => file.path)
+    },
+    lines: {
+      total: allFiles.reduce((sum, file) => sum + file.lineCount, 0),
+      source: sourceFiles.reduce((sum, file) => sum + file.lineCount, 0)
+    },
+    functions: {
+      total: functions.length,
+      exported: functions.filter(entry => entry.exported).length,
+      async: functions.filter(entry => entry.isAsync).length
+    },
+    classes: {
+      total: classes.length,
+      exported: classes.filter(entry => entry.exported).length,
+      members: classes.reduce((sum, entry) => sum + entry.members.length, 0)
+    },
+    complexity: {
+      average: complexities.length > 0
+        ? Math.round(complexities.reduce((sum, value) => sum + value, 0) / complexities.length * 100) / 100
+        : 0,
+      max: complexities.reduce((max, value) => Math.max(max, value), 0)
+    },
+    types: {
+      total: types.length,
+      exported: types.filter(type => type.exported).length
+    },
+    imports: {
+      internal: model.dependencyGraph.files.reduce((sum, file) => sum + file.imports.length, 0),
+      externalPackages: model.dependencyGraph.external.length,
+      notImported: model.dependencyGraph.notImported.length
+    },
+    largestFiles: allFiles
+      .slice()
+      .sort((a, b) => b.lineCount - a.lineCount)
+      .slice(0, top)
+      .map(file => ({ path: file.path, lineCount: file.lineCount })),
+    longestFunctions: functions
+      .filter(entry => entry.lineCount)
+      .sort((a, b) => b.lineCount - a.lineCount)
+      .slice(0, top)
+      .map(entry => ({ path: entry.path, name: entry.name || 'default', lineCount: entry.lineCount })),
+    hotspots: model.hotspots.slice(0, top)
+  };
+}
+
+// Function to format a summary as plain text
+function formatStats(stats) {
+  const languages = Object.entries(stats.files.byLanguage)
+    .map(([language, count]) => `${language} ${count}`)
+    .join(', ');
+
+  let content = `Directory: ${stats.root}\n`;
+  if (stats.changedSince) {
+    content += `Changed since: ${stats.changedSince}\n`;
+  }
+  content += '\n';
+  content += `Files:      ${stats.files.total} (${stats.files.analysed} analysed${languages ? `: ${languages}` : ''})\n`;
+  content += `Lines:      ${stats.lines.total} (${stats.lines.source} in source files)\n`;
+  content += `Functions:  ${stats.functions.total} (${stats.functions.exported} exported, ${stats.functions.async} async)\n`;
+  content += `Classes:    ${stats.classes.total} (${stats.classes.exported} exported, ${stats.classes.members} members)\n`;
+  content += `Complexity: ${stats.complexity.average} average, ${stats.complexity.max} max (cyclomatic)\n`;
+  content += `Types:      ${stats.types.total} (${stats.types.exported} exported)\n`;
+  content += `Imports:    ${stats.imports.internal} between files, ${stats.imports.externalPackages} external packages\n`;
+  content += `Not imported by other files: ${stats.imports.notImported}\n`;
+
+  if (stats.files.parseErrors.length > 0) {
+    content += `\nFiles that could not be parsed:\n`;
+    stats.files.parseErrors.forEach(filePath => {
+      content += `- ${filePath}\n`;
+    });
+  }
+
+  if (stats.files.recovered.length > 0) {
+    content += `\nFiles read without the lines that have syntax errors:\n`;
+    stats.files.recovered.forEach(filePath => {
+      content += `- ${filePath}\n`;
+    });
+  }
+
+  if (stats.largestFiles.length > 0) {
+    content += '\nLargest files:\n';
+    stats.largestFiles.forEach(({ path: filePath, lineCount }) => {
+      content += `- ${filePath} (${lineCount} lines)\n`;
+    });
+  }
+
+  if (stats.longestFunctions.length > 0) {
+    content += '\nLongest functions:\n';
+    stats.longestFunctions.forEach(({ path: filePath, name, lineCount }) => {
+      content += `- ${filePath}#${name} (${lineCount} lines)\n`;
+    });
+  }
+
+  if (stats.hotspots.length > 0) {
+    content += '\nMost complex functions:\n';
+    stats.hotspots.forEach(({ path: filePath, name, metrics }) => {
+      content += `- ${filePath}#${name} (cognitive ${metrics.cognitive}, cyclomatic ${metrics.cyclomatic})\n`;
+    });
+  }
+
+  return content;
+}
+
+// Function to run the stats command on a directory with options parsed by lib/cli.js
+export async function statsCommand(customRootDir, { config, depth, cache, gitignore, changedSince, format, top, jobs, strict }) {
+  const model = await analyzeInParallel(customRootDir, {
+    config,
+    maxDepth: depth,
+    useCache: cache,
+    useGitignore: gitignore,
+    changedSince,
+    hotspotLimit: top,
+    jobs,
+    strict
+  });
+
+  const stats = summarize(model, top);
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(stats, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatStats(stats));
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * `code-structure tree`: print the directory hierarchy with the functions and classes of each file
+ */
+
+import path from 'path';
+import { analyzeInParallel } from '../analyze.js';
+import { formatDiagnostic } from '../extract.js';
+import { formatMemberName, formatParams, formatTypeSuffix } from '../report.js';
+import { formatDefinition } from '../reexports.js';
+import { groupByDirectory } from '../scan.js';
+
+// Tree drawing characters
+const TREE_CHARS = {
+  VERTICAL: '│',
+  HORIZONTAL: '─',
+  JUNCTION: '├',
+  CORNER: '└',
+  SPACE: ' '
+};
+
+// Helper function to get the export keywords shown before an entry
+function exportPrefix(entry) {
+  if (!entry.exported) {
+    return '';
+  }
+  return entry.isDefault ? 'export default ' : 'export ';
+}
+
+// Function to build the labels shown under a file, with class members as children
+// Without showAllMethods only exported entries and the public members of exported classes are listed
+function describeFile(file, showAllMethods) {
+  const labels = [];
+
+  file.types.forEach(type => {
+    if (showAllMethods || type.exported) {
+      labels.push({ label: `${exportPrefix(type)}${type.kind} ${type.name}`, line: type.startLine, children: [] });
+    }
+  });
+
+  // Re-exported names point to where they are defined
+  (file.reExports || []).forEach(({ name, source, line, definedIn }) => {
+    labels.push({ label: `export ${name} from ${definedIn ? formatDefinition(definedIn) : source}`, line, children: [] });
+  });
+
+  // Syntax errors are listed where they are, so a file with missing entries says why
+  (file.diagnostics || []).forEach(diagnostic => {
+    const outcome = diagnostic.recovered ? '; lines with errors were skipped' : '';
+    labels.push({ label: `parse error: ${formatDiagnostic(diagnostic)}${outcome}`, line: diagnostic.line || 0, children: [] });
+  });
+
+  file.signatures.forEach(entry => {
+    if (!entry.kind || !(showAllMethods || entry.exported)) {
+      return;
+    }
+
+    // Exported constants and other values are shown as declared
+    if (entry.kind === 'value') {
+      labels.push({ label: entry.signature, line: entry.startLine, children: [] });
+      return;
+    }
+
+    if (entry.kind === 'class') {
+      const children = entry.members
+        .filter(member => showAllMethods || !member.private)
+        .map(member => member.kind === 'field'
+          ? `${formatMemberName(member)}${formatTypeSuffix(member)}`
+          : `${formatMemberName(member)}(${formatParams(member)})${formatTypeSuffix(member)}`);
+      const superClass = entry.extends ? ` extends ${entry.extends}` : '';
+      labels.push({
+        label: `${exportPrefix(entry)}${entry.abstract ? 'abstract ' : ''}class ${entry.name || 'default'}${superClass}`,
+        line: entry.startLine,
+        children
+      });
+      return;
+    }
+
+    const prefix = `${exportPrefix(entry)}${entry.isAsync ? 'async ' : ''}`;
+    const label = `${prefix}${entry.name || 'function'}(${formatParams(entry)})${formatTypeSuffix(entry)}`;
+    labels.push({ label, line: entry.startLine, children: [] });
+  });
+
+  // Types and functions are listed in source order
+  return labels.sort((a, b) => a.line - b.line);
+}
+
+// Function to render the files and directories of an analysis model as a tree
+function generateTree(model, { showMethods, showAllMethods }) {
+  // Entries of each directory, keyed by its path relative to the root ('' for the root itself)
+  const entriesByDir = groupByDirectory(model.directories, [...model.files, ...model.otherFiles]);
+
+  // Function to render one directory and recurse into its subdirectories
+  function renderDir(relativePath, prefix) {
+    let output = '';
+    const { dirs, files } = entriesByDir.get(relativePath);
+    const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    const allItems = [
+      ...dirs.map(dir => ({ name: path.basename(dir), dir })).sort(byName),
+      ...files.map(file => ({ name: path.basename(file.path), file })).sort(byName)
+    ];
+
+    allItems.forEach((item, index) => {
+      const isLastItem = index === allItems.length - 1;
+
+      // Create the tree branch
+      const branch = isLastItem ? TREE_CHARS.CORNER : TREE_CHARS.JUNCTION;
+      const connector = TREE_CHARS.HORIZONTAL.repeat(2);
+      const childPrefix = prefix + (isLastItem ? '   ' : `${TREE_CHARS.VERTICAL}  `);
+
+      // Output the item
+      output += `${prefix}${branch}${connector} ${item.name}`;
+
+      if (item.dir) {
+        output += '/\n';
+        output += renderDir(item.dir, childPrefix);
+        return;
+      }
+
+      // Show line count, then the methods of source files
+      output += ` (${item.file.lineCount} lines)\n`;
+      if (!showMethods || !item.file.signatures) {
+        return;
+      }
+
+      const methods = describeFile(item.file, showAllMethods);
+      methods.forEach((method, methodIndex) => {
+        const isLastMethod = methodIndex === methods.length - 1;
+        const methodBranch = isLastMethod ? TREE_CHARS.CORNER : TREE_CHARS.JUNCTION;
+        output += `${childPrefix}${methodBranch}${TREE_CHARS.HORIZONTAL} ${method.label}\n`;
+
+        // Class members are nested one level below their class
+        const memberPrefix = childPrefix + (isLastMethod ? '   ' : `${TREE_CHARS.VERTICAL}  `);
+        method.children.forEach((child, childIndex) => {
+          const childBranch = childIndex === method.children.length - 1 ? TREE_CHARS.CORNER : TREE_CHARS.JUNCTION;
+          output += `${memberPrefix}${childBranch}${TREE_CHARS.HORIZONTAL} ${child}\n`;
+        });
+      });
+    });
+
+    return output;
+  }
+
+  return renderDir('', '');
+}
+
+// Function to run the tree command on a directory with options parsed by lib/cli.js
+export async function treeCommand(customRootDir, options) {
+  const {
+    config,
+    depth: maxDepth,
+    methods: showMethods,
+    allMethods: showAllMethods,
+    cache: useCache,
+    gitignore: useGitignore,
+    changedSince,
+    jobs,
+    strict
+  } = options;
+
+  console.log(`Directory: ${customRootDir}`);
+  console.log(`Maximum depth: ${maxDepth === Infinity ? 'unlimited' : maxDepth}`);
+  console.log(`Show methods: ${showMethods ? 'yes' : 'no'}`);
+
+  const model = await analyzeInParallel(customRootDir, {
+    config,
+    maxDepth,
+    useCache,
+    useGitignore,
+    changedSince,
+    analyzeSources: showMethods,
+    jobs,
+    strict
+  });
+
+  if (changedSince) {
+    console.log(`Changed since: ${changedSince} (${model.files.length + model.otherFiles.length} files)`);
+  }
+  console.log('');
+
+  // Start with the root directory name
+  const rootName = path.basename(customRootDir);
+  console.log(`${rootName}/`);
+
+  // Generate and display the tree
+  const tree = generateTree(model, { showMethods, showAllMethods });
+  console.log(tree);
+
+  const failedFiles = model.files.filter(file => file.parseError);
+  if (failedFiles.length > 0) {
+    console.log(`${failedFiles.length} file(s) with parse errors:`);
+    failedFiles.forEach(file => {
+      console.log(`  ${file.path}: ${file.parseError}`);
+    });
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * `code-structure unused`: list files nothing imports, exports nothing uses and functions nothing calls
+ */
+
+import { analyzeInParallel } from '../analyze.js';
+
+// Function to format the unused code of a model as plain text
+function formatUnused({ entryPoints, unimportedFiles, unusedExports, unusedFunctions }) {
+  let content = `Entry points: ${entryPoints.length > 0 ? entryPoints.join(', ') : '(none found)'}\n`;
+
+  if (unimportedFiles.length > 0) {
+    content += '\nFiles not imported by any other file:\n';
+    unimportedFiles.forEach(filePath => {
+      content += `  ${filePath}\n`;
+    });
+  }
+  if (unusedExports.length > 0) {
+    content += '\nExports not imported by any other file:\n';
+    unusedExports.forEach(({ path: filePath, name, line }) => {
+      content += `  ${filePath}:${line}  ${name}\n`;
+    });
+  }
+  if (unusedFunctions.length > 0) {
+    content += '\nFunctions not used in their own file:\n';
+    unusedFunctions.forEach(({ path: filePath, name, line }) => {
+      content += `  ${filePath}:${line}  ${name}\n`;
+    });
+  }
+
+  content += `\n${unimportedFiles.length} unimported file(s), ${unusedExports.length} unused export(s), ` +
+    `${unusedFunctions.length} unused function(s)\n`;
+  return content;
+}
+
+// Function to run the unused command on a directory with options parsed by lib/cli.js
+export async function unusedCommand(customRootDir, { config, depth, cache, gitignore, changedSince, format, jobs, strict }) {
+  // Importers outside a partial scan would be missed, making used code look unused
+  if (depth !== Infinity || changedSince) {
+    throw new Error('Unused code can only be found by analysing the whole tree; drop --depth and --changed-since');
+  }
+
+  const model = await analyzeInParallel(customRootDir, {
+    config,
+    maxDepth: depth,
+    useCache: cache,
+    useGitignore: gitignore,
+    hotspotLimit: 0,
+    jobs,
+    strict
+  });
+
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(model.deadCode, null, 2)}\n`);
+  } else {
+    process.stdout.write(formatUnused(model.deadCode));
+  }
+}
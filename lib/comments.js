@@ -0,0 +1,216 @@
+/**
+ * JSDoc comments: attachment to the AST nodes they document and parsing of their tags
+ *
+ * Comments are collected by the parser (see parseSource in lib/parse.js). A JSDoc block documents the
+ * node that starts right after it, ignoring whitespace and other comments; a block followed by
+ * anything else documents nothing and is reported as detached.
+ */
+
+import { childNodes } from './parse.js';
+
+// Child that a documented node passes its JSDoc on to, e.g. the function of `export function`
+const DOCUMENTED_CHILD = {
+  ExportNamedDeclaration: node => node.declaration,
+  ExportDefaultDeclaration: node => node.declaration,
+  VariableDeclaration: node => node.declarations[0],
+  VariableDeclarator: node => node.init,
+  ExpressionStatement: node => node.expression,
+  AssignmentExpression: node => node.right,
+  MethodDefinition: node => node.value,
+  PropertyDefinition: node => node.value,
+  TSAbstractMethodDefinition: node => node.value,
+  Property: node => node.value
+};
+
+// Tags of blocks that describe the file or declare types, rather than document the code after them
+const STANDALONE_TAGS = /@(?:typedef|callback|import|file|fileoverview|overview|module|license|copyright)\b/;
+
+// Function to tell JSDoc blocks (/** ... */) from other comments collected by the parser
+export function isJSDocComment(comment) {
+  return comment.type === 'Block' && comment.value.startsWith('*') && !comment.value.startsWith('**');
+}
+
+// Helper function to find where the code following a comment starts, skipping other comments
+function nextCodePosition(fileContent, comment, commentsByStart) {
+  const whitespace = /\s*/y;
+  let position = comment.end;
+
+  for (;;) {
+    whitespace.lastIndex = position;
+    position += whitespace.exec(fileContent)[0].length;
+
+    const following = commentsByStart.get(position);
+    if (!following || isJSDocComment(following)) {
+      return position;
+    }
+    position = following.end;
+  }
+}
+
+// Function to attach each JSDoc comment to the outermost node starting right after it
+// Returns { jsDocs, detached }: jsDocs maps each node to its parsed JSDoc (see parseJSDoc), also set on
+// the nodes it passes down to; detached lists the JSDoc comments that document nothing, leaving out
+// a block that opens the file and blocks with standalone tags such as @typedef
+export function attachJSDocComments(ast, comments, fileContent) {
+  const commentsByStart = new Map(comments.map(comment => [comment.start, comment]));
+  const pending = new Map();
+  comments.filter(isJSDocComment).forEach(comment => {
+    pending.set(nextCodePosition(fileContent, comment, commentsByStart), comment);
+  });
+
+  const attached = new Map();
+  if (pending.size === 0) {
+    return { jsDocs: attached, detached: [] };
+  }
+
+  // Parents are visited before their children, so the outermost node at a position takes the comment
+  function visit(node) {
+    const comment = pending.get(node.start);
+    if (comment && node.type !== 'Program') {
+      pending.delete(node.start);
+      const jsDoc = { line: comment.loc.start.line, ...parseJSDoc(comment.value) };
+      for (let target = node; target; target = DOCUMENTED_CHILD[target.type] && DOCUMENTED_CHILD[target.type](target)) {
+        attached.set(target, jsDoc);
+      }
+    }
+    childNodes(node).forEach(visit);
+  }
+  visit(ast);
+
+  const detached = [...pending.values()].filter(comment =>
+    !STANDALONE_TAGS.test(comment.value) && fileContent.substring(0, comment.start).replace(/^#!.*/, '').trim() !== '');
+  return { jsDocs: attached, detached: detached.sort((a, b) => a.start - b.start) };
+}
+
+// Helper function to split a {type} off the start of a tag's text; the type may contain braces
+// Returns { type, rest }, with a null type when the text doesn't start with one
+function splitType(text) {
+  if (!text.startsWith('{')) {
+    return { type: null, rest: text };
+  }
+
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) {
+      return { type: text.substring(1, i).trim(), rest: text.substring(i + 1).trim() };
+    }
+  }
+  return { type: text.substring(1).trim(), rest: '' };
+}
+
+// Helper function to read a `{type} [name=default] - description` tag, as used by @param and @property
+function parseNamedTag(text) {
+  const { type, rest } = splitType(text);
+  const match = rest.match(/^(\[([^\]=]+)(?:=[^\]]*)?\]|[^\s]+)\s*(?:-\s*)?([\s\S]*)$/);
+  if (!match) {
+    return { name: '', type, optional: false, description: '' };
+  }
+  return {
+    name: (match[2] || match[1]).trim(),
+    type,
+    optional: Boolean(match[2]),
+    description: match[3].replace(/\s+/g, ' ').trim()
+  };
+}
+
+// Helper function to read a `{type} description` tag, as used by @returns and @throws
+function parseTypedTag(text) {
+  const { type, rest } = splitType(text);
+  return { type, description: rest.replace(/^-\s*/, '').replace(/\s+/g, ' ').trim() };
+}
+
+// Helper function to join the lines of an @example, keeping line breaks and relative indentation
+function dedent(lines) {
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.substring(indent)).join('\n').replace(/^\n+|\s+$/g, '');
+}
+
+// Function to parse the text of a JSDoc comment, without its /* and */
+// Returns { description, params, returns, throws, examples, deprecated, since, see, typedefs };
+// deprecated is null unless the tag is present, and then holds its text, which may be empty
+export function parseJSDoc(commentValue) {
+  const lines = commentValue.replace(/^\*/, '').split('\n').map(line => line.replace(/^\s*\* ?/, ''));
+
+  const jsDoc = {
+    description: '',
+    params: [],
+    returns: null,
+    throws: [],
+    examples: [],
+    deprecated: null,
+    since: null,
+    see: [],
+    typedefs: []
+  };
+
+  // Text before the first tag is the description, of which the first paragraph is kept
+  const firstTag = lines.findIndex(line => /^\s*@\w/.test(line));
+  const descriptionLines = firstTag === -1 ? lines : lines.slice(0, firstTag);
+  const paragraph = descriptionLines.join('\n').trim().split(/\n\s*\n/)[0];
+  jsDoc.description = paragraph.replace(/\s*\n\s*/g, ' ').trim();
+
+  if (firstTag === -1) {
+    return jsDoc;
+  }
+
+  // Each tag runs until the next line that starts with a tag
+  const tags = [];
+  lines.slice(firstTag).forEach(line => {
+    const match = line.match(/^\s*@(\w+)\s?([\s\S]*)$/);
+    if (match) {
+      tags.push({ tag: match[1], lines: [match[2]] });
+    } else {
+      tags[tags.length - 1].lines.push(line);
+    }
+  });
+
+  tags.forEach(({ tag, lines: tagLines }) => {
+    const text = tagLines.join('\n').trim();
+
+    switch (tag) {
+      case 'param':
+      case 'arg':
+      case 'argument':
+        jsDoc.params.push(parseNamedTag(text));
+        break;
+      case 'returns':
+      case 'return':
+        jsDoc.returns = parseTypedTag(text);
+        break;
+      case 'throws':
+      case 'exception':
+        jsDoc.throws.push(parseTypedTag(text));
+        break;
+      case 'example':
+        jsDoc.examples.push(dedent(tagLines));
+        break;
+      case 'deprecated':
+        jsDoc.deprecated = text.replace(/\s+/g, ' ');
+        break;
+      case 'since':
+        jsDoc.since = text;
+        break;
+      case 'see':
+        jsDoc.see.push(text.replace(/\s+/g, ' '));
+        break;
+      case 'typedef': {
+        const { name, type, description } = parseNamedTag(text);
+        jsDoc.typedefs.push({ name, type, description: description || jsDoc.description, properties: [] });
+        break;
+      }
+      case 'property':
+      case 'prop':
+        if (jsDoc.typedefs.length > 0) {
+          jsDoc.typedefs[jsDoc.typedefs.length - 1].properties.push(parseNamedTag(text));
+        }
+        break;
+      default:
+        // Other tags, such as @type and @template, aren't shown in the report
+        break;
+    }
+  });
+
+  return jsDoc;
+}
@@ -0,0 +1,77 @@
+/**
+ * Loading of .code-structure.json, shared by the commands in lib/commands/
+ *
+ * Patterns in include, exclude, excludePaths, excludeFiles and entryPoints are globs; see lib/glob.js.
+ * Patterns are always matched relative to the scanned directory, also when --config points elsewhere.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Default configuration (fallback if config file is not found)
+const DEFAULT_CONFIG = {
+  excludePaths: [
+    'node_modules'  // This will exclude node_modules anywhere it appears
+  ],
+  excludeFiles: [
+    'package-lock.json',
+  ],
+  exclude: [],
+  include: [], // Empty means every file that isn't excluded
+  includeExtensions: [
+    '.js',
+    '.mjs',
+    '.cjs',
+    '.jsx',
+    '.ts',
+    '.tsx',
+    '.mts',
+    '.cts',
+    '.json'
+  ],
+  thresholds: {}, // Limits enforced by `code-structure check`; see lib/gate.js
+  entryPoints: [] // Files used from outside the scanned tree, besides package.json targets; see lib/deadcode.js
+};
+
+// Function to load configuration from JSON file
+// configPath defaults to .code-structure.json in the scanned directory; a file given explicitly must exist and parse
+export function loadConfig(scanDirectory, { configPath = null } = {}) {
+  const explicitPath = configPath !== null;
+  if (!explicitPath) {
+    configPath = path.join(scanDirectory, '.code-structure.json');
+  }
+
+  try {
+    if (explicitPath || fs.existsSync(configPath)) {
+      const configData = fs.readFileSync(configPath, 'utf8');
+      const config = JSON.parse(configData);
+
+      // Merge with defaults - additional exclusions are additive
+      return {
+        excludePaths: [...DEFAULT_CONFIG.excludePaths, ...(config.excludePaths || []), ...(config.excludeDirs || [])],
+        excludeFiles: [...DEFAULT_CONFIG.excludeFiles, ...(config.excludeFiles || [])],
+        exclude: [...DEFAULT_CONFIG.exclude, ...(config.exclude || [])],
+        include: config.include || [...DEFAULT_CONFIG.include],
+        includeExtensions: config.includeExtensions || DEFAULT_CONFIG.includeExtensions,
+        thresholds: { ...DEFAULT_CONFIG.thresholds, ...(config.thresholds || {}) },
+        entryPoints: config.entryPoints || [...DEFAULT_CONFIG.entryPoints]
+      };
+    }
+  } catch (error) {
+    if (explicitPath) {
+      throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+    }
+    console.warn(`Warning: Could not read config file ${configPath}: ${error.message}`);
+    console.warn('Using default configuration.');
+  }
+
+  return {
+    excludePaths: [...DEFAULT_CONFIG.excludePaths],
+    excludeFiles: [...DEFAULT_CONFIG.excludeFiles],
+    exclude: [...DEFAULT_CONFIG.exclude],
+    include: [...DEFAULT_CONFIG.include],
+    includeExtensions: [...DEFAULT_CONFIG.includeExtensions],
+    thresholds: { ...DEFAULT_CONFIG.thresholds },
+    entryPoints: [...DEFAULT_CONFIG.entryPoints]
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Detection of import cycles between scanned modules
+ *
+ * Only imports that load a module while the importer is evaluated are followed: import() runs later
+ * and TypeScript removes type-only imports, so neither can leave a binding uninitialised. Declaration
+ * files (.d.ts) are never loaded, so their imports are not followed either.
+ * Every file in a group of modules that import each other (a strongly connected component of the
+ * import graph) is reported with the shortest cycle through it; a cycle found from several of its
+ * files is listed once.
+ */
+
+// Helper function to find the strongly connected components of a graph with Tarjan's algorithm
+// Iterative, so long import chains can't overflow the call stack
+function findComponents(nodes, successors) {
+  let nextIndex = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  function open(node, work) {
+    indices.set(node, nextIndex);
+    lowLinks.set(node, nextIndex);
+    nextIndex++;
+    stack.push(node);
+    onStack.add(node);
+    work.push({ node, next: 0 });
+  }
+
+  nodes.forEach(start => {
+    if (indices.has(start)) {
+      return;
+    }
+
+    const work = [];
+    open(start, work);
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const children = successors(frame.node);
+
+      if (frame.next < children.length) {
+        const child = children[frame.next++];
+        if (!indices.has(child)) {
+          open(child, work);
+        } else if (onStack.has(child)) {
+          lowLinks.set(frame.node, Math.min(lowLinks.get(frame.node), indices.get(child)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.node)));
+      }
+      if (lowLinks.get(frame.node) === indices.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  });
+
+  return components;
+}
+
+// Helper function to find the shortest path from a file back to itself, staying within its component
+// Returns the files along the cycle, starting and ending with start
+function shortestCycle(start, component, successors) {
+  const previous = new Map();
+  const queue = [start];
+
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    for (const child of successors(node)) {
+      if (child === start) {
+        const cycle = [start];
+        for (let step = node; step !== start; step = previous.get(step)) {
+          cycle.unshift(step);
+        }
+        cycle.unshift(start);
+        return cycle;
+      }
+      if (component.has(child) && !previous.has(child)) {
+        previous.set(child, node);
+        queue.push(child);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Function to find the import cycles among the analysed files
+// Returns [{ files, imports: [{ from, to, source, line }] }], where files starts and ends with the
+// same path and begins at the cycle's first path in sort order
+export function findCycles(files) {
+  // Eager imports of each file, in the order they appear
+  const importsByFile = new Map();
+  files.filter(file => !/\.d\.[mc]?ts$/.test(file.path)).forEach(file => {
+    importsByFile.set(file.path, (file.imports || []).filter(({ kind, resolvedPath, typeOnly }) =>
+      resolvedPath && kind !== 'dynamic' && !typeOnly));
+  });
+  const successors = filePath => importsByFile.get(filePath)
+    .map(({ resolvedPath }) => resolvedPath)
+    .filter(resolvedPath => importsByFile.has(resolvedPath));
+
+  const cycles = new Map();
+  findComponents([...importsByFile.keys()].sort(), successors).forEach(members => {
+    const component = new Set(members);
+    members.sort().forEach(member => {
+      const cycle = shortestCycle(member, component, successors);
+      if (!cycle) {
+        return;
+      }
+
+      // Rotate the cycle to start at its first path, so the same cycle always reads the same way
+      const loop = cycle.slice(0, -1);
+      const first = loop.indexOf([...loop].sort()[0]);
+      const rotated = [...loop.slice(first), ...loop.slice(0, first)];
+      const chain = [...rotated, rotated[0]];
+
+      const key = chain.join('\0');
+      if (!cycles.has(key)) {
+        cycles.set(key, {
+          files: chain,
+          imports: rotated.map((from, index) => {
+            const to = chain[index + 1];
+            const { source, line } = importsByFile.get(from).find(({ resolvedPath }) => resolvedPath === to);
+            return { from, to, source, line };
+          })
+        });
+      }
+    });
+  });
+
+  return [...cycles.values()].sort((a, b) =>
+    a.files.length - b.files.length || (a.files.join('\0') < b.files.join('\0') ? -1 : 1));
+}
+
+// Function to format the chain of files of a cycle
+export function formatCycleChain(cycle) {
+  return cycle.files.join(' -> ');
+}
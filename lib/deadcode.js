@@ -0,0 +1,164 @@
+/**
+ * Detection of unused code from the resolved imports of an analysis
+ *
+ * - Unimported files: source files no other scanned file imports.
+ * - Unused exports: names a file exports that no importer asks for. Namespace imports, `export *`,
+ *   dynamic import(), new URL('./module.js', import.meta.url) (as for a worker's entry) and require()
+ *   results that aren't destructured can reach any export, so they count as using all of them.
+ * - Unused functions: functions that are neither exported nor mentioned anywhere else in their file.
+ *
+ * Entry points are used from outside the scanned tree, so they are never reported as unimported and
+ * their exports never as unused. They are the main, module, bin and exports targets of every scanned
+ * package.json, and the files matching the entryPoints patterns of .code-structure.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { compileGlob, matchRules } from './glob.js';
+
+// Helper function to list the file paths a package.json exposes to its users
+function listPackageTargets(packageJson) {
+  const targets = [];
+
+  // Targets of "exports" may be nested in conditions and subpath maps; patterns with * are skipped
+  function addExportTargets(value) {
+    if (typeof value === 'string') {
+      if (!value.includes('*')) {
+        targets.push(value);
+      }
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(addExportTargets);
+    }
+  }
+
+  ['main', 'module'].forEach(field => {
+    if (typeof packageJson[field] === 'string') {
+      targets.push(packageJson[field]);
+    }
+  });
+  if (typeof packageJson.bin === 'string') {
+    targets.push(packageJson.bin);
+  } else if (packageJson.bin && typeof packageJson.bin === 'object') {
+    targets.push(...Object.values(packageJson.bin).filter(value => typeof value === 'string'));
+  }
+  addExportTargets(packageJson.exports);
+
+  // Without main or exports, Node loads the package's index file
+  if (packageJson.main === undefined && packageJson.exports === undefined) {
+    targets.push('index');
+  }
+
+  return targets;
+}
+
+// Function to find the entry points among the scanned files
+// allFiles are { filePath, relativePath } as listed by scanDirectory; resolveImport comes from lib/resolve.js
+// Returns a Set of relative paths
+export function findEntryPoints(allFiles, patterns, resolveImport) {
+  const entryPoints = new Set();
+  const rules = patterns.map(compileGlob).filter(rule => rule);
+
+  allFiles.forEach(({ filePath, relativePath }) => {
+    if (rules.length > 0 && matchRules(rules, relativePath.split(path.sep).join('/'), false) === true) {
+      entryPoints.add(relativePath);
+    }
+    if (path.basename(filePath) !== 'package.json') {
+      return;
+    }
+
+    let packageJson;
+    try {
+      packageJson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      // An unreadable package.json declares no entry points
+      return;
+    }
+    if (!packageJson || typeof packageJson !== 'object') {
+      return;
+    }
+
+    listPackageTargets(packageJson).forEach(target => {
+      const specifier = target.startsWith('.') ? target : `./${target}`;
+      const resolved = resolveImport(specifier, filePath);
+      if (resolved) {
+        entryPoints.add(resolved);
+      }
+    });
+  });
+
+  return entryPoints;
+}
+
+// Function to find the functions of an analysed file that are neither exported nor mentioned elsewhere in it
+// Returns [{ path, name, line }]
+export function findUnusedFunctions(file) {
+  const exportedLocals = new Set(file.exports.map(({ local }) => local));
+  return file.signatures
+    .filter(entry => (entry.kind === 'function' || entry.kind === 'arrow') && entry.name && entry.metrics &&
+      !entry.exported && !exportedLocals.has(entry.name) && !file.references.includes(entry.name))
+    .map(entry => ({ path: file.path, name: entry.name, line: entry.startLine }));
+}
+
+// Function to find unimported files, unused exports and unused functions among the analysed files
+// listUnusedFunctions(file) defaults to findUnusedFunctions, and lets a caller that no longer holds the
+// files' signatures pass the functions it found earlier
+// Returns { entryPoints, unimportedFiles, unusedExports: [{ path, name, line }], unusedFunctions: [{ path, name, line }] }
+export function findDeadCode(files, entryPoints, listUnusedFunctions = findUnusedFunctions) {
+  // Files with syntax errors may be missing exports and references on the lines that were left out
+  const sourceFiles = files.filter(file =>
+    (file.language === 'javascript' || file.language === 'typescript') && !file.parseError);
+
+  // Names asked for from each imported file; '*' when any of its exports may be used
+  const usedExports = new Map();
+  files.forEach(file => {
+    (file.imports || []).forEach(({ kind, resolvedPath, specifiers }) => {
+      if (!resolvedPath || resolvedPath === file.path) {
+        return;
+      }
+      if (!usedExports.has(resolvedPath)) {
+        usedExports.set(resolvedPath, new Set());
+      }
+      const used = usedExports.get(resolvedPath);
+      if (kind === 'dynamic') {
+        used.add('*');
+      }
+      specifiers.forEach(({ imported }) => used.add(imported));
+    });
+  });
+
+  // Declaration files are read by the compiler rather than imported
+  const isDeclarationFile = file => /\.d\.[mc]?ts$/.test(file.path);
+  const unimportedFiles = sourceFiles
+    .filter(file => !usedExports.has(file.path) && !entryPoints.has(file.path) && !isDeclarationFile(file))
+    .map(file => file.path)
+    .sort();
+
+  const unusedExports = [];
+  const unusedFunctions = [];
+
+  sourceFiles.forEach(file => {
+    // Exports of unimported files are covered by listing the file; overloads and merged
+    // declarations export one name several times, which is reported once
+    const used = usedExports.get(file.path);
+    if (used && !used.has('*') && !entryPoints.has(file.path) && !isDeclarationFile(file)) {
+      const reported = new Set();
+      file.exports.forEach(({ name, line }) => {
+        // export * has no name of its own; the names it passes on belong to the module it reads
+        if (name !== '*' && !used.has(name) && !reported.has(name)) {
+          reported.add(name);
+          unusedExports.push({ path: file.path, name, line });
+        }
+      });
+    }
+
+    unusedFunctions.push(...listUnusedFunctions(file));
+  });
+
+  const byLocation = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : a.line - b.line);
+  return {
+    entryPoints: [...entryPoints].sort(),
+    unimportedFiles,
+    unusedExports: unusedExports.sort(byLocation),
+    unusedFunctions: unusedFunctions.sort(byLocation)
+  };
+}
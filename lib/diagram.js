@@ -0,0 +1,176 @@
+/**
+ * Diagrams of the module dependency graph and the call graph, as Mermaid or Graphviz DOT
+ *
+ * Only edges between scanned modules, or between functions found in them, are drawn: external
+ * packages and calls to unknown functions would crowd out the project's own structure. A diagram
+ * can be narrowed to the nodes within a number of hops of a chosen file or function, following
+ * edges in both directions, and its nodes can be grouped in one cluster per directory.
+ */
+
+import path from 'path';
+
+// Helper function to find the nodes a --focus value names
+// Modules are named by path; functions by path#name, by name alone, or by the path of their file
+function findFocusNodes(nodes, focus, calls) {
+  const target = focus.split(/[\\/]/).join(path.sep).replace(/^\.[\\/]/, '');
+  const matches = nodes.filter(node => node.id === target ||
+    (calls && (node.name === target || node.path === target)));
+
+  if (matches.length === 0) {
+    throw new Error(`No ${calls ? 'function or file' : 'module'} named ${focus} in the ${calls ? 'call' : 'dependency'} graph`);
+  }
+  return matches.map(node => node.id);
+}
+
+// Helper function to keep the nodes at most hops edges away from the focus nodes, in either direction
+function selectNeighbourhood(edges, focusIds, hops) {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) {
+      neighbours.set(a, []);
+    }
+    neighbours.get(a).push(b);
+  };
+  edges.forEach(({ from, to }) => {
+    link(from, to);
+    link(to, from);
+  });
+
+  const kept = new Set(focusIds);
+  let frontier = focusIds;
+  for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+    const next = [];
+    frontier.forEach(id => {
+      (neighbours.get(id) || []).forEach(neighbour => {
+        if (!kept.has(neighbour)) {
+          kept.add(neighbour);
+          next.push(neighbour);
+        }
+      });
+    });
+    frontier = next;
+  }
+  return kept;
+}
+
+/**
+ * Function to select the nodes and edges of a diagram from an analysis model (see lib/analyze.js)
+ *
+ * @param {Object} model - Result of analyze()
+ * @param {Object} [options]
+ * @param {boolean} [options.calls=false] - Draw the call graph instead of the module dependency graph
+ * @param {string|null} [options.focus=null] - File, or function for the call graph, to centre the diagram on
+ * @param {number} [options.hops=Infinity] - With focus, how many edges away nodes may be
+ * @returns {Object} { nodes: [{ id, path, name }], edges: [{ from, to }], focus: [id] }
+ *   name is the function name in a call graph and null in a dependency graph.
+ */
+export function buildDiagram(model, { calls = false, focus = null, hops = Infinity } = {}) {
+  let nodes;
+  let edges = [];
+
+  if (calls) {
+    nodes = model.callGraph.map(({ id, relativePath, functionName }) => ({ id, path: relativePath, name: functionName }));
+    const ids = new Set(nodes.map(node => node.id));
+    model.callGraph.forEach(node => {
+      node.calls.filter(call => ids.has(call) && call !== node.id).forEach(call => {
+        edges.push({ from: node.id, to: call });
+      });
+    });
+  } else {
+    nodes = model.dependencyGraph.files.map(({ relativePath }) => ({ id: relativePath, path: relativePath, name: null }));
+    model.dependencyGraph.files.forEach(node => {
+      node.imports.forEach(imported => edges.push({ from: node.relativePath, to: imported }));
+    });
+  }
+
+  let focusIds = [];
+  if (focus) {
+    focusIds = findFocusNodes(nodes, focus, calls);
+    const kept = selectNeighbourhood(edges, focusIds, hops);
+    nodes = nodes.filter(node => kept.has(node.id));
+    edges = edges.filter(({ from, to }) => kept.has(from) && kept.has(to));
+  } else if (calls) {
+    // Without a focus, functions that only call unknown code would stand alone
+    const linked = new Set(edges.flatMap(({ from, to }) => [from, to]));
+    nodes = nodes.filter(node => linked.has(node.id));
+  }
+
+  return { nodes, edges, focus: focusIds };
+}
+
+// Helper function to group the nodes of a diagram by directory; files at the root stay ungrouped
+// Returns [{ directory, nodes }], with the ungrouped nodes under a null directory
+function groupByDirectory(nodes, cluster) {
+  const groups = new Map();
+  nodes.forEach(node => {
+    const directory = cluster && path.dirname(node.path) !== '.' ? path.dirname(node.path) : null;
+    if (!groups.has(directory)) {
+      groups.set(directory, []);
+    }
+    groups.get(directory).push(node);
+  });
+  return Array.from(groups.entries()).map(([directory, groupNodes]) => ({ directory, nodes: groupNodes }));
+}
+
+// Helper function to get the label of a node; inside a cluster the directory is left out
+function nodeLabel(node, cluster) {
+  const filePath = cluster ? path.basename(node.path) : node.path;
+  return node.name === null ? filePath : `${filePath}#${node.name}`;
+}
+
+// Function to format a diagram as a Mermaid flowchart
+export function formatMermaid({ nodes, edges, focus }, { cluster = false } = {}) {
+  // Mermaid ids can't contain most punctuation, so nodes are numbered and labelled instead
+  const shortIds = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+  const escape = text => text.replace(/"/g, '#quot;');
+
+  let content = 'flowchart LR\n';
+  groupByDirectory(nodes, cluster).forEach(({ directory, nodes: groupNodes }, index) => {
+    const indent = directory === null ? '  ' : '    ';
+    if (directory !== null) {
+      content += `  subgraph c${index}["${escape(directory)}"]\n`;
+    }
+    groupNodes.forEach(node => {
+      content += `${indent}${shortIds.get(node.id)}["${escape(nodeLabel(node, cluster))}"]\n`;
+    });
+    if (directory !== null) {
+      content += '  end\n';
+    }
+  });
+  edges.forEach(({ from, to }) => {
+    content += `  ${shortIds.get(from)} --> ${shortIds.get(to)}\n`;
+  });
+  focus.forEach(id => {
+    content += `  style ${shortIds.get(id)} stroke-width:3px\n`;
+  });
+
+  return content;
+}
+
+// Function to format a diagram as a Graphviz DOT digraph
+export function formatDot({ nodes, edges, focus }, { cluster = false } = {}) {
+  const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const focusIds = new Set(focus);
+  const nodeLine = (node, indent) =>
+    `${indent}${quote(node.id)} [label=${quote(nodeLabel(node, cluster))}${focusIds.has(node.id) ? ', penwidth=3' : ''}];\n`;
+
+  let content = 'digraph "code-structure" {\n  rankdir=LR;\n  node [shape=box];\n';
+  groupByDirectory(nodes, cluster).forEach(({ directory, nodes: groupNodes }, index) => {
+    if (directory === null) {
+      groupNodes.forEach(node => {
+        content += nodeLine(node, '  ');
+      });
+      return;
+    }
+    content += `  subgraph cluster_${index} {\n    label=${quote(directory)};\n`;
+    groupNodes.forEach(node => {
+      content += nodeLine(node, '    ');
+    });
+    content += '  }\n';
+  });
+  edges.forEach(({ from, to }) => {
+    content += `  ${quote(from)} -> ${quote(to)};\n`;
+  });
+
+  return `${content}}\n`;
+}
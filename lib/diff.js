@@ -0,0 +1,264 @@
+/**
+ * Comparison of two JSON reports written by `code-structure --format json`
+ *
+ * Only the public surface is compared: exported functions, classes with their public members,
+ * and exported TypeScript types. Changes that can break existing callers are collected separately.
+ */
+
+// Version of the JSON reports this module understands
+const SUPPORTED_SCHEMA_VERSION = 1;
+
+// Function to check that a parsed document is a report this module can compare
+export function assertReport(report, label) {
+  if (!report || report.generator !== 'code-structure' || !Array.isArray(report.files)) {
+    throw new Error(`${label} is not a code-structure JSON report`);
+  }
+  if (report.schemaVersion !== SUPPORTED_SCHEMA_VERSION) {
+    throw new Error(`${label} has schemaVersion ${report.schemaVersion}; only version ${SUPPORTED_SCHEMA_VERSION} is supported`);
+  }
+}
+
+// Function to format a parameter the way it would be written in TypeScript
+function formatParam({ name, type, optional, rest }) {
+  return `${rest ? '...' : ''}${name}${optional && !rest ? '?' : ''}${type ? `: ${type}` : ''}`;
+}
+
+// Function to format a signature as a one-line declaration
+function formatSignature(entry) {
+  if (entry.kind === 'field' || entry.kind === 'value') {
+    return `${entry.name}${entry.type ? `: ${entry.type}` : ''}`;
+  }
+  if (entry.kind === 'class') {
+    return `class ${entry.name}${entry.extends ? ` extends ${entry.extends}` : ''}`;
+  }
+  const asyncPrefix = entry.async ? 'async ' : '';
+  const returnType = entry.returnType ? `: ${entry.returnType}` : '';
+  return `${asyncPrefix}${entry.name}(${entry.params.map(formatParam).join(', ')})${returnType}`;
+}
+
+// Function to collect the exported API of a report, keyed by path#name
+function collectApi(report) {
+  const signatures = new Map();
+  const types = new Map();
+
+  for (const file of report.files) {
+    for (const entry of file.signatures) {
+      if (!entry.exported || !entry.name) {
+        continue;
+      }
+      const key = `${file.path}#${entry.name}`;
+      // Overloads and re-declarations keep their first entry
+      if (!signatures.has(key)) {
+        signatures.set(key, { path: file.path, name: entry.name, entry });
+      }
+
+      // Public members of exported classes are part of the API too
+      for (const member of entry.members || []) {
+        const memberKey = `${key}.${member.name}`;
+        if (!member.private && !signatures.has(memberKey)) {
+          signatures.set(memberKey, { path: file.path, name: `${entry.name}.${member.name}`, entry: member });
+        }
+      }
+    }
+
+    for (const type of file.types || []) {
+      if (type.exported) {
+        types.set(`${file.path}#${type.name}`, { path: file.path, name: type.name, entry: type });
+      }
+    }
+  }
+
+  return { signatures, types };
+}
+
+// Function to describe how the parameters, return type and kind of a signature changed
+// Returns a list of { message, breaking }
+function compareSignatures(before, after) {
+  const changes = [];
+
+  if (before.kind !== after.kind) {
+    changes.push({ message: `changed from ${before.kind} to ${after.kind}`, breaking: true });
+    return changes;
+  }
+
+  if (before.kind === 'field' || before.kind === 'value') {
+    if (before.type && after.type && before.type !== after.type) {
+      changes.push({ message: `type \`${before.type}\` → \`${after.type}\``, breaking: true });
+    }
+    return changes;
+  }
+
+  if (before.kind === 'class') {
+    if ((before.extends || null) !== (after.extends || null)) {
+      changes.push({ message: `parent class \`${before.extends || '(none)'}\` → \`${after.extends || '(none)'}\``, breaking: true });
+    }
+    return changes;
+  }
+
+  if (before.async !== after.async) {
+    changes.push({ message: after.async ? 'now async' : 'no longer async', breaking: true });
+  }
+
+  const paramCount = Math.max(before.params.length, after.params.length);
+  for (let i = 0; i < paramCount; i++) {
+    const oldParam = before.params[i];
+    const newParam = after.params[i];
+
+    if (!newParam) {
+      changes.push({ message: `parameter \`${oldParam.name}\` removed`, breaking: true });
+      continue;
+    }
+    if (!oldParam) {
+      const required = !newParam.optional && !newParam.rest;
+      changes.push({ message: `parameter \`${newParam.name}\` added${required ? ' as required' : ''}`, breaking: required });
+      continue;
+    }
+
+    if (oldParam.name !== newParam.name) {
+      changes.push({ message: `parameter \`${oldParam.name}\` renamed to \`${newParam.name}\``, breaking: false });
+    }
+    if (oldParam.rest !== newParam.rest) {
+      changes.push({ message: `parameter \`${newParam.name}\` ${newParam.rest ? 'is now' : 'is no longer'} a rest parameter`, breaking: true });
+    } else if (oldParam.optional !== newParam.optional) {
+      changes.push({ message: `parameter \`${newParam.name}\` is now ${newParam.optional ? 'optional' : 'required'}`, breaking: !newParam.optional });
+    }
+    if (oldParam.type !== newParam.type) {
+      // Adding or dropping an annotation documents the parameter without changing it
+      const breaking = Boolean(oldParam.type && newParam.type);
+      changes.push({ message: `parameter \`${newParam.name}\` type \`${oldParam.type || '(none)'}\` → \`${newParam.type || '(none)'}\``, breaking });
+    }
+  }
+
+  if (before.returnType !== after.returnType) {
+    const breaking = Boolean(before.returnType && after.returnType);
+    changes.push({ message: `return type \`${before.returnType || '(none)'}\` → \`${after.returnType || '(none)'}\``, breaking });
+  }
+
+  return changes;
+}
+
+// Function to compare two reports
+export function diffReports(oldReport, newReport) {
+  const oldPaths = new Set(oldReport.files.map(file => file.path));
+  const newPaths = new Set(newReport.files.map(file => file.path));
+  const oldApi = collectApi(oldReport);
+  const newApi = collectApi(newReport);
+
+  const diff = {
+    files: {
+      added: [...newPaths].filter(filePath => !oldPaths.has(filePath)).sort(),
+      removed: [...oldPaths].filter(filePath => !newPaths.has(filePath)).sort()
+    },
+    exports: { added: [], removed: [], changed: [] },
+    types: { added: [], removed: [], changed: [] },
+    breaking: []
+  };
+
+  for (const [key, { path: filePath, name, entry }] of oldApi.signatures) {
+    if (!newApi.signatures.has(key)) {
+      diff.exports.removed.push({ path: filePath, name, signature: formatSignature({ ...entry, name }) });
+      diff.breaking.push({ path: filePath, name, reason: 'removed' });
+      continue;
+    }
+
+    const after = newApi.signatures.get(key).entry;
+    const changes = compareSignatures(entry, after);
+    if (changes.length > 0) {
+      diff.exports.changed.push({
+        path: filePath,
+        name,
+        before: formatSignature({ ...entry, name }),
+        after: formatSignature({ ...after, name }),
+        changes: changes.map(change => change.message),
+        breaking: changes.some(change => change.breaking)
+      });
+      for (const change of changes.filter(change => change.breaking)) {
+        diff.breaking.push({ path: filePath, name, reason: change.message });
+      }
+    }
+  }
+
+  for (const [key, { path: filePath, name, entry }] of newApi.signatures) {
+    if (!oldApi.signatures.has(key)) {
+      diff.exports.added.push({ path: filePath, name, signature: formatSignature({ ...entry, name }) });
+    }
+  }
+
+  for (const [key, { path: filePath, name, entry }] of oldApi.types) {
+    if (!newApi.types.has(key)) {
+      diff.types.removed.push({ path: filePath, name, definition: entry.definition });
+      diff.breaking.push({ path: filePath, name, reason: `${entry.kind} removed` });
+    } else if (newApi.types.get(key).entry.definition !== entry.definition) {
+      // Whether a type change breaks callers depends on how it is used, so it is only listed
+      diff.types.changed.push({ path: filePath, name, before: entry.definition, after: newApi.types.get(key).entry.definition });
+    }
+  }
+
+  for (const [key, { path: filePath, name, entry }] of newApi.types) {
+    if (!oldApi.types.has(key)) {
+      diff.types.added.push({ path: filePath, name, definition: entry.definition });
+    }
+  }
+
+  return diff;
+}
+
+// Function to tell whether a diff found anything
+export function isEmptyDiff(diff) {
+  return [diff.files, diff.exports, diff.types].every(section =>
+    Object.values(section).every(list => list.length === 0));
+}
+
+// Function to render a diff as Markdown
+export function formatDiff(diff, oldLabel, newLabel) {
+  let output = `# Structure Diff\nOld: ${oldLabel}\nNew: ${newLabel}\n\n`;
+
+  if (isEmptyDiff(diff)) {
+    return `${output}No changes to files or exports.\n`;
+  }
+
+  if (diff.breaking.length > 0) {
+    output += '## Breaking Changes\n';
+    diff.breaking.forEach(({ path: filePath, name, reason }) => {
+      output += `- \`${filePath}#${name}\`: ${reason}\n`;
+    });
+    output += '\n';
+  }
+
+  // Helper function to add a titled list, skipping empty ones
+  function addList(title, items, formatItem) {
+    if (items.length > 0) {
+      output += `${title}:\n`;
+      items.forEach(item => {
+        output += `${formatItem(item)}\n`;
+      });
+      output += '\n';
+    }
+  }
+
+  if (diff.files.added.length > 0 || diff.files.removed.length > 0) {
+    output += '## Files\n';
+    addList('Added', diff.files.added, filePath => `- \`${filePath}\``);
+    addList('Removed', diff.files.removed, filePath => `- \`${filePath}\``);
+  }
+
+  const { added, removed, changed } = diff.exports;
+  if (added.length > 0 || removed.length > 0 || changed.length > 0) {
+    output += '## Exports\n';
+    addList('Added', added, ({ path: filePath, signature }) => `- \`${filePath}\`: \`${signature}\``);
+    addList('Removed', removed, ({ path: filePath, signature }) => `- \`${filePath}\`: \`${signature}\``);
+    addList('Changed', changed, ({ path: filePath, before, after, changes, breaking }) =>
+      `- \`${filePath}\`: \`${before}\` → \`${after}\`${breaking ? ' (breaking)' : ''}\n` +
+      changes.map(change => `  - ${change}`).join('\n'));
+  }
+
+  const types = diff.types;
+  if (types.added.length > 0 || types.removed.length > 0 || types.changed.length > 0) {
+    output += '## Types\n';
+    addList('Added', types.added, ({ path: filePath, definition }) => `- \`${filePath}\`: \`${definition}\``);
+    addList('Removed', types.removed, ({ path: filePath, definition }) => `- \`${filePath}\`: \`${definition}\``);
+    addList('Changed', types.changed, ({ path: filePath, before, after }) => `- \`${filePath}\`: \`${before}\` → \`${after}\``);
+  }
+
+  return output;
+}
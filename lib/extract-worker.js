@@ -0,0 +1,21 @@
+/**
+ * Worker thread of the pool in lib/workers.js: extracts the signatures of each file it is sent
+ *
+ * Messages are { filePath, content }, with a null content when the main thread couldn't read the file.
+ * Replies to every message with { result } or, if extraction threw, { error } holding the message.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { extractMethodSignatures } from './extract.js';
+import { createImportResolver } from './resolve.js';
+
+const { root, files, includeJsDoc } = workerData;
+const extractOptions = { resolveImport: createImportResolver(root, files), includeJsDoc };
+
+parentPort.on('message', ({ filePath, content }) => {
+  try {
+    parentPort.postMessage({ result: extractMethodSignatures(filePath, { ...extractOptions, content }) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
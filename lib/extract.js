@@ -0,0 +1,1109 @@
+/**
+ * Extraction of signatures, classes, types and imports from one source file
+ *
+ * Used by lib/analyze.js; the result of extractMethodSignatures is what the analysis cache stores.
+ */
+
+import fs from 'fs';
+import { parseSourceTolerant, walk, typeAnnotationText } from './parse.js';
+import { computeMetrics } from './metrics.js';
+import { attachJSDocComments, isJSDocComment, parseJSDoc } from './comments.js';
+
+// Function to count lines in a method body
+function countMethodLines(fileContent, node) {
+  if (!node || !node.loc) return 0;
+
+  // For function declarations and expressions
+  if (node.body && node.body.loc) {
+    const startLine = node.body.loc.start.line;
+    const endLine = node.body.loc.end.line;
+    return endLine - startLine + 1;
+  }
+
+  return 0;
+}
+
+// Function to extract method calls within a method body
+function extractMethodCalls(fileContent, node, definedMethods, importBindings) {
+  const methodCalls = new Set();
+
+  if (!node || !node.body) return [];
+
+  // Skip common utility method names that are likely not local methods
+  const commonGenericMethods = new Set([
+    'get', 'set', 'push', 'pop', 'map', 'filter', 'forEach', 'find',
+    'indexOf', 'includes', 'join', 'split', 'slice', 'substring',
+    'replace', 'trim', 'toString', 'valueOf', 'parse', 'stringify',
+    'keys', 'values', 'entries', 'fill', 'concat', 'shift', 'unshift',
+    'every', 'some', 'reduce', 'reduceRight', 'reverse', 'sort',
+    'splice', 'copyWithin', 'isArray', 'fromCharCode', 'match', 'test',
+    'exec', 'hasOwnProperty', 'freeze', 'assign', 'create', 'defineProperty',
+    'getOwnPropertyDescriptor', 'getOwnPropertyNames', 'seal', 'is', 'isExtensible',
+    'isSealed', 'isFrozen', 'isInteger', 'isFinite', 'parseInt', 'parseFloat',
+    'toString', 'toFixed', 'toPrecision'
+  ]);
+
+  // Built-in objects with methods we should ignore
+  const builtInObjects = new Set([
+    'Array', 'Object', 'String', 'Number', 'Boolean', 'Date', 'Math',
+    'RegExp', 'JSON', 'Promise', 'Set', 'Map', 'WeakMap', 'WeakSet',
+    'Symbol', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array',
+    'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array',
+    'ArrayBuffer', 'SharedArrayBuffer', 'DataView', 'Error', 'File',
+    'URL', 'URLSearchParams', 'TextEncoder', 'TextDecoder', 'Blob'
+  ]);
+
+  // Label an imported call by its resolved file, or by its module specifier if it leaves the scanned tree
+  function importedCallLabel(binding, methodName) {
+    if (binding.resolvedPath) {
+      return `${binding.resolvedPath}#${methodName}`;
+    }
+    return `${binding.source}.${methodName}`;
+  }
+
+  try {
+    // Walk the function body to find method calls
+    walk(node.body, {
+      CallExpression(callNode) {
+        // Direct function calls like func()
+        if (callNode.callee.type === 'Identifier') {
+          const methodName = callNode.callee.name;
+
+          // Skip console.* methods
+          if (methodName === 'console') {
+            return;
+          }
+
+          // Check if it's a defined method in this file
+          if (definedMethods.has(methodName)) {
+            methodCalls.add(methodName);
+          }
+          // Check if it's an imported function, using its name in the source module
+          else if (importBindings && importBindings.has(methodName)) {
+            const binding = importBindings.get(methodName);
+            let importedName = binding.imported;
+            if (importedName === 'default' || importedName === '*') {
+              // Calling a default import, or a whole module from require(), calls the default export of a
+              // scanned file (which buildCallGraph in lib/graph.js finds); packages are labelled by local name
+              importedName = binding.resolvedPath ? 'default' : methodName;
+            }
+            methodCalls.add(importedCallLabel(binding, importedName));
+          }
+          // We're skipping all other direct method calls since they might be native or globals
+        }
+        // Object method calls like obj.method()
+        else if (callNode.callee.type === 'MemberExpression' &&
+                callNode.callee.property &&
+                callNode.callee.property.type === 'Identifier') {
+
+          const methodName = callNode.callee.property.name;
+
+          // Skip console logging methods
+          if (callNode.callee.object.type === 'Identifier' &&
+              callNode.callee.object.name === 'console') {
+            return;
+          }
+
+          // Skip common utility methods
+          if (commonGenericMethods.has(methodName)) {
+            return;
+          }
+
+          // Try to get the object name for context
+          if (callNode.callee.object) {
+            if (callNode.callee.object.type === 'Identifier') {
+              const objectName = callNode.callee.object.name;
+
+              // Skip built-in objects
+              if (builtInObjects.has(objectName)) {
+                return;
+              }
+
+              // Check if it's an imported module
+              if (importBindings && importBindings.has(objectName)) {
+                methodCalls.add(importedCallLabel(importBindings.get(objectName), methodName));
+              } else if (definedMethods.has(objectName)) {
+                // Only include object method calls if the object is defined in this file
+                methodCalls.add(`${objectName}.${methodName}`);
+              }
+              // Skip other object method calls since they might be on native objects or parameters
+            }
+            // Skip complex object expressions
+          }
+        }
+      }
+    });
+  } catch (error) {
+    // Ignore errors in dependency extraction
+  }
+
+  return Array.from(methodCalls);
+}
+
+// Function to extract method signatures from JS file
+// content is the file's text when the caller has already read it
+export function extractMethodSignatures(filePath, { resolveImport = null, includeJsDoc = true, content = null } = {}) {
+  try {
+    const fileContent = content === null ? fs.readFileSync(filePath, 'utf8') : content;
+    const signatures = [];
+    const comments = []; // Comments collected by the parser
+    const imports = []; // Track imports
+    const importBindings = new Map(); // Track local import names and the module they come from
+    const dependencies = []; // Track module specifiers and the scanned files they resolve to
+    const moduleExports = []; // Track exported names and the local bindings they export
+    const exportedLocals = new Set(); // Track local bindings exported by name, as in export { a } or module.exports = { a }
+    const references = new Set(); // Track names of this file's functions that its code refers to
+    const types = []; // Track TypeScript interfaces, type aliases and enums
+    const definedMethods = new Set(); // Track method names defined in this file
+
+    // Parse once; both passes below walk the same AST, which leaves out lines with syntax errors
+    const { ast, error: parseError } = parseSourceTolerant(fileContent, filePath, comments);
+    const diagnostics = parseError ? [describeError(parseError, ast !== null)] : [];
+
+    // First pass: collect all defined method names
+    try {
+      walk(ast, {
+        FunctionDeclaration(node) {
+          if (node.id && node.id.name) {
+            definedMethods.add(node.id.name);
+          }
+        },
+        MethodDefinition(node) {
+          if (node.key && (node.key.name || node.key.value)) {
+            definedMethods.add(node.key.name || node.key.value);
+          }
+        },
+        VariableDeclarator(node) {
+          if (node.id && node.id.name && node.init &&
+             (node.init.type === 'ArrowFunctionExpression' || node.init.type === 'FunctionExpression')) {
+            definedMethods.add(node.id.name);
+          }
+        },
+        // Add support for class properties that are functions
+        PropertyDefinition(node) {
+          if (node.key && (node.key.name || node.key.value) &&
+              node.value && (node.value.type === 'ArrowFunctionExpression' || node.value.type === 'FunctionExpression')) {
+            definedMethods.add(node.key.name || node.key.value);
+          }
+        },
+        // Classes are tracked so static calls like Foo.create() are recorded
+        ClassDeclaration(node) {
+          if (node.id && node.id.name) {
+            definedMethods.add(node.id.name);
+          }
+        }
+      });
+    } catch (error) {
+      // Ignore errors in first pass
+    }
+
+    // Attach JSDoc comments to the declarations they document, if they are requested
+    const { jsDocs, detached } = ast && includeJsDoc
+      ? attachJSDocComments(ast, comments, fileContent)
+      : { jsDocs: new Map(), detached: [] };
+    const detachedJSDocs = detached.map(comment => ({ line: comment.loc.start.line, description: parseJSDoc(comment.value).description }));
+
+    try {
+      // Report the parse failure of a file that couldn't be recovered
+      if (!ast) {
+        throw parseError;
+      }
+
+      // Record a module dependency and where it resolves in the scanned tree
+      // line is where the module is first loaded eagerly; typeOnly stays true while every statement only imports types
+      function addDependency(source, kind, node, typeOnly = false) {
+        const line = node.loc.start.line;
+        let dependency = dependencies.find(existing => existing.source === source);
+        if (!dependency) {
+          const resolvedPath = resolveImport ? resolveImport(source, filePath) : null;
+          dependency = { source, kind, resolvedPath, line, typeOnly, specifiers: [] };
+          dependencies.push(dependency);
+        } else {
+          if (dependency.kind === 'dynamic' && kind !== 'dynamic') {
+            dependency.kind = kind;
+            dependency.line = line;
+          }
+          dependency.typeOnly = dependency.typeOnly && typeOnly;
+        }
+        return dependency;
+      }
+
+      // TypeScript removes imports and exports of types only, so they don't load the module at runtime
+      function isTypeOnly(node) {
+        return node.importKind === 'type' || node.exportKind === 'type' ||
+          (node.specifiers.length > 0 && node.specifiers.every(specifier => (specifier.importKind || specifier.exportKind) === 'type'));
+      }
+
+      // Variables initialised by require(), so their bindings are known when the call is visited
+      const requireDeclarators = new Map();
+      walk(ast, {
+        VariableDeclarator(node) {
+          const call = node.init && node.init.type === 'MemberExpression' ? node.init.object : node.init;
+          if (isRequireCall(call)) {
+            requireDeclarators.set(call, node);
+          }
+        }
+      });
+
+      // Record a binding created by an import or require; typeOnly marks a TypeScript type import
+      function addBinding(dependency, imported, local, typeOnly = false) {
+        dependency.specifiers.push({ imported, local, typeOnly });
+        importBindings.set(local, { source: dependency.source, imported, resolvedPath: dependency.resolvedPath });
+      }
+
+      // Extract imports
+      walk(ast, {
+        ImportDeclaration(node) {
+          const source = node.source.value;
+          const dependency = addDependency(source, 'import', node, isTypeOnly(node));
+          let importStatement = '';
+
+          node.specifiers.forEach(specifier => {
+            let imported = '*';
+            if (specifier.type === 'ImportDefaultSpecifier') {
+              imported = 'default';
+            } else if (specifier.type === 'ImportSpecifier') {
+              imported = specifier.imported.name || specifier.imported.value;
+            }
+            addBinding(dependency, imported, specifier.local.name, node.importKind === 'type' || specifier.importKind === 'type');
+          });
+
+          // Handle different types of imports
+          if (node.specifiers.length === 0) {
+            // Side effect import (import 'module')
+            importStatement = `import '${source}'`;
+          } else {
+            const defaultImports = [];
+            const namedImports = [];
+            const namespaceImports = [];
+
+            // Separate different import types
+            node.specifiers.forEach(specifier => {
+              if (specifier.type === 'ImportDefaultSpecifier') {
+                defaultImports.push(specifier.local.name);
+              } else if (specifier.type === 'ImportNamespaceSpecifier') {
+                namespaceImports.push(`* as ${specifier.local.name}`);
+              } else if (specifier.type === 'ImportSpecifier') {
+                // import { type X } keeps the keyword of a type imported next to values
+                const typePrefix = specifier.importKind === 'type' ? 'type ' : '';
+                if (specifier.imported && specifier.local.name !== specifier.imported.name) {
+                  namedImports.push(`${typePrefix}${specifier.imported.name} as ${specifier.local.name}`);
+                } else {
+                  namedImports.push(`${typePrefix}${specifier.local.name}`);
+                }
+              }
+            });
+
+            // Build the import statement
+            const parts = [];
+            if (defaultImports.length > 0) {
+              parts.push(defaultImports.join(', '));
+            }
+            if (namedImports.length > 0) {
+              parts.push(`{ ${namedImports.join(', ')} }`);
+            }
+            if (namespaceImports.length > 0) {
+              parts.push(namespaceImports.join(', '));
+            }
+
+            importStatement = `import ${node.importKind === 'type' ? 'type ' : ''}${parts.join(', ')} from '${source}'`;
+          }
+
+          imports.push(importStatement);
+        },
+        // Re-exports and dynamic imports also make this file depend on another module
+        ExportNamedDeclaration(node) {
+          const dependency = node.source ? addDependency(node.source.value, 'export', node, isTypeOnly(node)) : null;
+
+          if (node.declaration) {
+            declaredNames(node.declaration).forEach(name => {
+              moduleExports.push({ name, local: name, line: node.loc.start.line });
+            });
+          }
+          node.specifiers.forEach(specifier => {
+            const local = specifier.local.name || specifier.local.value;
+            const exported = specifier.exported.name || specifier.exported.value;
+            const line = specifier.loc.start.line;
+            if (dependency) {
+              // Re-exports keep the module and the name they come from
+              const typeOnly = node.exportKind === 'type' || specifier.exportKind === 'type';
+              dependency.specifiers.push({ imported: local, local: exported, typeOnly });
+              moduleExports.push({ name: exported, local: null, line, source: dependency.source, imported: local });
+            } else {
+              exportedLocals.add(local);
+              moduleExports.push({ name: exported, local, line });
+            }
+          });
+        },
+        // export * re-exports every name of the module except its default, and is listed under the name '*'
+        ExportAllDeclaration(node) {
+          const dependency = addDependency(node.source.value, 'export', node, node.exportKind === 'type');
+          const exported = node.exported ? node.exported.name || node.exported.value : '*';
+          dependency.specifiers.push({ imported: '*', local: exported, typeOnly: node.exportKind === 'type' });
+          moduleExports.push({ name: exported, local: null, line: node.loc.start.line, source: dependency.source, imported: '*' });
+        },
+        ExportDefaultDeclaration(node) {
+          const { declaration } = node;
+          const local = declaration.type === 'Identifier' ? declaration.name : (declaration.id && declaration.id.name) || null;
+          if (declaration.type === 'Identifier') {
+            exportedLocals.add(local);
+          }
+          moduleExports.push({ name: 'default', local, line: node.loc.start.line });
+        },
+        // CommonJS exports; assigning module.exports replaces the whole module, which ESM importers see as its default
+        AssignmentExpression(node) {
+          const name = commonJSExportName(node.left);
+          if (name === null) {
+            return;
+          }
+
+          const addExport = (exportedName, value, line) => {
+            const local = value.type === 'Identifier' ? value.name : null;
+            if (local) {
+              exportedLocals.add(local);
+            }
+            moduleExports.push({ name: exportedName, local, line });
+          };
+
+          if (name !== '*') {
+            addExport(name, node.right, node.loc.start.line);
+          } else if (node.right.type === 'ObjectExpression') {
+            // module.exports = { a, b: c, d() {} } exports each property by its key
+            node.right.properties.forEach(property => {
+              const key = property.type === 'Property' ? staticPropertyName(property) : null;
+              if (key !== null) {
+                addExport(key, property.value, property.loc.start.line);
+              }
+            });
+          } else {
+            addExport('default', node.right, node.loc.start.line);
+          }
+        },
+        // Any mention of a function defined in this file, not only a call, counts as a use of it
+        Identifier(node) {
+          if (definedMethods.has(node.name)) {
+            references.add(node.name);
+          }
+        },
+        JSXIdentifier(node) {
+          if (definedMethods.has(node.name)) {
+            references.add(node.name);
+          }
+        },
+        ImportExpression(node) {
+          if (node.source.type === 'Literal' && typeof node.source.value === 'string') {
+            addDependency(node.source.value, 'dynamic', node);
+          }
+        },
+        // new URL('./worker.js', import.meta.url) names a module loaded at runtime, such as a worker's entry;
+        // URLs of other files, such as assets, aren't dependencies
+        NewExpression(node) {
+          if (isModuleUrl(node) && resolveImport && resolveImport(node.arguments[0].value, filePath)) {
+            addDependency(node.arguments[0].value, 'dynamic', node);
+          }
+        },
+        // Look for require statements (might be in CommonJS files)
+        CallExpression(node) {
+          if (!isRequireCall(node)) {
+            return;
+          }
+
+          const source = node.arguments[0].value;
+          const dependency = addDependency(source, 'require', node);
+          const declarator = requireDeclarators.get(node);
+
+          if (declarator && declarator.id.type === 'Identifier') {
+            // const x = require('y') binds the whole module, like import * as x; require('y').z binds one export
+            const member = declarator.init === node ? null : staticPropertyName(declarator.init);
+            if (declarator.init === node || member !== null) {
+              addBinding(dependency, member === null ? '*' : member, declarator.id.name);
+              imports.push(`const ${declarator.id.name} = require('${source}')${member === null ? '' : `.${member}`}`);
+              return;
+            }
+          } else if (declarator && declarator.init === node && declarator.id.type === 'ObjectPattern' &&
+              declarator.id.properties.every(property => property.type === 'Property' && property.value.type === 'Identifier' &&
+                staticPropertyName(property) !== null)) {
+            const names = declarator.id.properties.map(property => {
+              const imported = staticPropertyName(property);
+              addBinding(dependency, imported, property.value.name);
+              return imported === property.value.name ? imported : `${imported}: ${property.value.name}`;
+            });
+            imports.push(`const { ${names.join(', ')} } = require('${source}')`);
+            return;
+          }
+
+          // Any other use of the module, such as module.exports = require('y'), may reach every export
+          dependency.specifiers.push({ imported: '*', local: null, typeOnly: false });
+          imports.push(`require('${source}')`);
+        }
+      });
+
+      // Build a signature entry with both the display string and the structured fields used for JSON output
+      function createSignatureEntry({ name, kind, prefix, fnNode, locNode = fnNode, isArrow = false, exported = false, isDefault = false }) {
+        const jsDoc = jsDocs.get(fnNode) || jsDocs.get(locNode) || null;
+        let params = extractParams(fnNode.params, fileContent, jsDoc, includeJsDoc);
+
+        // Check if we have object destructuring from JSDoc
+        const jsDocParams = extractJSDocParams(jsDoc);
+        if (jsDocParams) {
+          // If it's a single parameter that's an object destructuring, replace it
+          if (params.startsWith('{') || params === '') {
+            params = jsDocParams;
+          }
+        }
+
+        const returnType = extractReturnType(fileContent, fnNode, jsDoc);
+        const lineCount = countMethodLines(fileContent, fnNode);
+        const methodCalls = extractMethodCalls(fileContent, fnNode, definedMethods, importBindings);
+
+        const signature = formatSignature(prefix, name, params, returnType, isArrow, lineCount);
+
+        return {
+          signature,
+          description: jsDoc ? jsDoc.description : '',
+          methodCalls,
+          jsDocParams,
+          name,
+          kind,
+          isAsync: Boolean(fnNode.async),
+          exported,
+          isDefault,
+          params: extractParamDetails(fnNode.params, fileContent, jsDoc),
+          returnType: returnType || null,
+          startLine: locNode.loc.start.line,
+          endLine: locNode.loc.end.line,
+          lineCount,
+          metrics: computeMetrics(fnNode),
+          jsDoc
+        };
+      }
+
+      // Replace the plain declaration entry when the same function is also visited as an export
+      function addExportedSignature(entry) {
+        const index = signatures.findIndex(existing => existing.name === entry.name && existing.startLine === entry.startLine);
+        if (index === -1) {
+          signatures.push(entry);
+        } else {
+          signatures[index] = entry;
+        }
+      }
+
+      // Build a class entry whose members are signature entries for methods, accessors and fields
+      function createClassEntry(node, name) {
+        const superClass = node.superClass ? fileContent.substring(node.superClass.start, node.superClass.end) : null;
+        const members = [];
+
+        node.body.body.forEach(member => {
+          // Static blocks and TypeScript index signatures have no name
+          if (!member.key) {
+            return;
+          }
+
+          let memberName = member.key.type === 'PrivateIdentifier' ? `#${member.key.name}` : (member.key.name || String(member.key.value));
+          if (member.computed) {
+            memberName = `[${fileContent.substring(member.key.start, member.key.end)}]`;
+          }
+          const modifiers = {
+            static: Boolean(member.static),
+            private: member.key.type === 'PrivateIdentifier' || member.accessibility === 'private'
+          };
+
+          if (member.type === 'MethodDefinition' || member.type === 'TSAbstractMethodDefinition') {
+            const isAsync = member.value && member.value.async;
+            const prefix = isAsync ? 'async ' : (member.kind === 'method' ? '' : `${member.kind} `);
+            const kind = { constructor: 'constructor', get: 'getter', set: 'setter' }[member.kind] || 'method';
+
+            members.push({ ...createSignatureEntry({ name: memberName, kind, prefix, fnNode: member.value, locNode: member }), ...modifiers });
+          } else if (member.value && (member.value.type === 'ArrowFunctionExpression' || member.value.type === 'FunctionExpression')) {
+            // Class properties holding functions are listed like methods
+            const prefix = member.value.async ? 'async ' : '';
+
+            members.push({ ...createSignatureEntry({ name: memberName, kind: 'property', prefix, fnNode: member.value, locNode: member, isArrow: true }), ...modifiers });
+          } else {
+            const jsDoc = jsDocs.get(member) || null;
+            members.push({
+              signature: `field ${memberName}`,
+              description: jsDoc ? jsDoc.description : '',
+              methodCalls: [],
+              jsDocParams: null,
+              name: memberName,
+              kind: 'field',
+              isAsync: false,
+              exported: false,
+              isDefault: false,
+              params: [],
+              returnType: null,
+              type: typeAnnotationText(fileContent, member.typeAnnotation) || null,
+              startLine: member.loc.start.line,
+              endLine: member.loc.end.line,
+              lineCount: 0,
+              jsDoc,
+              ...modifiers
+            });
+          }
+        });
+
+        const jsDoc = jsDocs.get(node) || null;
+        return {
+          signature: `${node.abstract ? 'abstract ' : ''}class ${name}${superClass ? ` extends ${superClass}` : ''}`,
+          description: jsDoc ? jsDoc.description : '',
+          methodCalls: [],
+          jsDocParams: null,
+          name,
+          kind: 'class',
+          isAsync: false,
+          exported: false,
+          isDefault: false,
+          params: [],
+          returnType: null,
+          extends: superClass,
+          abstract: Boolean(node.abstract),
+          members,
+          startLine: node.loc.start.line,
+          endLine: node.loc.end.line,
+          lineCount: countMethodLines(fileContent, node),
+          jsDoc
+        };
+      }
+
+      // Build an entry for a TypeScript interface, type alias or enum
+      function createTypeEntry(kind, node, definition) {
+        const jsDoc = jsDocs.get(node);
+        return {
+          name: node.id.name,
+          kind,
+          definition: truncateDefinition(definition),
+          description: jsDoc ? jsDoc.description : '',
+          exported: false,
+          startLine: node.loc.start.line,
+          endLine: node.loc.end.line
+        };
+      }
+
+      // Build an entry for an exported value that is neither a function nor a class
+      function createValueEntry(signature, name, node, isDefault, type = null) {
+        const jsDoc = jsDocs.get(node) || null;
+        return {
+          signature,
+          description: jsDoc ? jsDoc.description : '',
+          methodCalls: [],
+          jsDocParams: null,
+          name,
+          kind: 'value',
+          type,
+          isAsync: false,
+          exported: true,
+          isDefault,
+          params: [],
+          returnType: null,
+          startLine: node.loc.start.line,
+          endLine: node.loc.end.line,
+          lineCount: 0,
+          jsDoc
+        };
+      }
+
+      // List a function or class expression exported through CommonJS, as if it were declared under its exported name
+      function addCommonJSExport(name, value, locNode, isDefault) {
+        if (value.type === 'FunctionExpression' || value.type === 'ArrowFunctionExpression') {
+          const isArrow = value.type === 'ArrowFunctionExpression';
+          const prefix = `${value.async ? 'async ' : ''}${isArrow ? 'const' : 'function'}`;
+          signatures.push(createSignatureEntry({ name, kind: isArrow ? 'arrow' : 'function', prefix, fnNode: value, locNode, isArrow, exported: true, isDefault }));
+        } else if (value.type === 'ClassExpression') {
+          // The class itself was listed when its expression was visited
+          const entry = signatures.find(existing => existing.kind === 'class' && existing.startLine === value.loc.start.line);
+          if (entry) {
+            if (!entry.name) {
+              entry.name = name;
+              entry.signature = `class ${name}${entry.extends ? ` extends ${entry.extends}` : ''}`;
+            }
+            entry.exported = true;
+            entry.isDefault = isDefault;
+          }
+        }
+      }
+
+      // Walk the AST to find function declarations and exports
+      walk(ast, {
+        TSInterfaceDeclaration(node) {
+          const typeParams = node.typeParameters ? fileContent.substring(node.typeParameters.start, node.typeParameters.end) : '';
+          const heritage = (node.extends || []).map(clause => fileContent.substring(clause.start, clause.end));
+          // Members are shown as written, with their types, on one line
+          const members = node.body.body.map(member =>
+            sourceWithoutComments(fileContent, member, comments).replace(/[;,]$/, '').replace(/\s+/g, ' ').trim());
+          const extendsText = heritage.length > 0 ? ` extends ${heritage.join(', ')}` : '';
+          types.push(createTypeEntry('interface', node, `interface ${node.id.name}${typeParams}${extendsText} { ${members.join(', ')} }`));
+        },
+        TSTypeAliasDeclaration(node) {
+          const typeParams = node.typeParameters ? fileContent.substring(node.typeParameters.start, node.typeParameters.end) : '';
+          types.push(createTypeEntry('type', node, `type ${node.id.name}${typeParams} = ${typeAnnotationText(fileContent, node.typeAnnotation)}`));
+        },
+        TSEnumDeclaration(node) {
+          const members = node.members.map(member => member.id.name || member.id.value);
+          types.push(createTypeEntry('enum', node, `enum ${node.id.name} { ${members.join(', ')} }`));
+        },
+        // Declared functions and overload signatures only appear if there is no implementation
+        TSDeclareFunction(node) {
+          if (!node.id || definedMethods.has(node.id.name) || signatures.some(existing => existing.name === node.id.name)) {
+            return;
+          }
+
+          signatures.push(createSignatureEntry({ name: node.id.name, kind: 'function', prefix: 'function', fnNode: node }));
+        },
+        FunctionDeclaration(node) {
+          // Anonymous default exports are handled by ExportDefaultDeclaration
+          if (!node.id) {
+            return;
+          }
+
+          signatures.push(createSignatureEntry({ name: node.id.name, kind: 'function', prefix: 'function', fnNode: node }));
+        },
+        // Classes are listed with their members nested under them
+        ClassDeclaration(node) {
+          signatures.push(createClassEntry(node, node.id ? node.id.name : 'default'));
+        },
+        ClassExpression(node) {
+          signatures.push(createClassEntry(node, node.id ? node.id.name : ''));
+        },
+        VariableDeclarator(node) {
+          // Name anonymous class expressions after the variable they are assigned to
+          if (node.id && node.id.name && node.init && node.init.type === 'ClassExpression' && !node.init.id) {
+            const entry = signatures.find(existing => existing.kind === 'class' && existing.startLine === node.init.loc.start.line && existing.name === '');
+            if (entry) {
+              entry.name = node.id.name;
+              entry.signature = `class ${node.id.name}${entry.extends ? ` extends ${entry.extends}` : ''}`;
+            }
+          }
+
+          if (node.id && node.id.name && node.init &&
+             (node.init.type === 'ArrowFunctionExpression' || node.init.type === 'FunctionExpression')) {
+            const prefix = node.init.async ? 'async const' : 'const';
+            const kind = node.init.type === 'ArrowFunctionExpression' ? 'arrow' : 'function';
+
+            signatures.push(createSignatureEntry({ name: node.id.name, kind, prefix, fnNode: node.init, locNode: node, isArrow: true }));
+          }
+        },
+        // Functions and classes assigned to CommonJS exports are listed under their exported name
+        AssignmentExpression(node) {
+          const name = commonJSExportName(node.left);
+          if (name === null) {
+            return;
+          }
+
+          if (name === '*' && node.right.type === 'ObjectExpression') {
+            node.right.properties.forEach(property => {
+              const key = property.type === 'Property' ? staticPropertyName(property) : null;
+              if (key !== null) {
+                addCommonJSExport(key, property.value, property, false);
+              }
+            });
+          } else if (name === '*') {
+            const ownName = node.right.id && node.right.id.name;
+            addCommonJSExport(ownName || 'default', node.right, node, true);
+          } else {
+            addCommonJSExport(name, node.right, node, false);
+          }
+        },
+        ExportNamedDeclaration(node) {
+          if (node.declaration) {
+            if (node.declaration.type === 'FunctionDeclaration') {
+              const prefix = node.declaration.async ? 'export async function' : 'export function';
+
+              addExportedSignature(createSignatureEntry({ name: node.declaration.id.name, kind: 'function', prefix, fnNode: node.declaration, exported: true }));
+            } else if (node.declaration.type === 'ClassDeclaration') {
+              const entry = signatures.find(existing => existing.kind === 'class' && existing.startLine === node.declaration.loc.start.line);
+              if (entry) {
+                entry.exported = true;
+              }
+            } else if (node.declaration.type === 'TSDeclareFunction') {
+              const entry = signatures.find(existing => existing.name === node.declaration.id.name);
+              if (entry) {
+                entry.exported = true;
+              }
+            } else if (['TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSEnumDeclaration'].includes(node.declaration.type)) {
+              const entry = types.find(existing => existing.name === node.declaration.id.name);
+              if (entry) {
+                entry.exported = true;
+              }
+            } else if (node.declaration.type === 'VariableDeclaration') {
+              // Mark exported arrow and function expression constants as part of the public API
+              node.declaration.declarations.forEach(declarator => {
+                const entry = signatures.find(existing =>
+                  declarator.id.type === 'Identifier' && existing.name === declarator.id.name &&
+                  existing.startLine === declarator.loc.start.line);
+                if (entry) {
+                  entry.exported = true;
+                  return;
+                }
+
+                // Other exported variables, including destructured ones, are listed as values
+                const type = declarator.id.type === 'Identifier' ? typeAnnotationText(fileContent, declarator.id.typeAnnotation) || null : null;
+                patternNames(declarator.id).forEach(name => {
+                  signatures.push(createValueEntry(`export ${node.declaration.kind} ${name}`, name, declarator, false, type));
+                });
+              });
+            }
+          }
+        },
+        ExportDefaultDeclaration(node) {
+          if (node.declaration.type === 'FunctionDeclaration') {
+            const name = node.declaration.id ? node.declaration.id.name : 'default';
+            const prefix = node.declaration.async ? 'export default async function' : 'export default function';
+
+            addExportedSignature(createSignatureEntry({ name, kind: 'function', prefix, fnNode: node.declaration, exported: true, isDefault: true }));
+          } else if (node.declaration.type === 'ArrowFunctionExpression') {
+            const prefix = node.declaration.async ? 'export default async' : 'export default';
+
+            signatures.push(createSignatureEntry({ name: 'default', kind: 'arrow', prefix, fnNode: node.declaration, isArrow: true, exported: true, isDefault: true }));
+          } else if (node.declaration.type === 'ClassDeclaration') {
+            const entry = signatures.find(existing => existing.kind === 'class' && existing.startLine === node.declaration.loc.start.line);
+            if (entry) {
+              entry.exported = true;
+              entry.isDefault = true;
+            }
+          } else {
+            const target = shortenExpression(fileContent.substring(node.declaration.start, node.declaration.end));
+            signatures.push(createValueEntry(`export default ${target}`, 'default', node, true));
+          }
+        }
+      });
+
+      // JSDoc @typedef tags declare types wherever they appear; in a module they can be imported by type
+      if (includeJsDoc) {
+        comments.filter(comment => isJSDocComment(comment) && comment.value.includes('@typedef')).forEach(comment => {
+          parseJSDoc(comment.value).typedefs.forEach(typedef => {
+            types.push(createTypedefEntry(typedef, comment));
+          });
+        });
+      }
+
+      // Declarations exported by name, as in export { a as b } or module.exports = { a }, are part of the public API
+      [...signatures, ...types].forEach(entry => {
+        if (exportedLocals.has(entry.name)) {
+          entry.exported = true;
+        }
+      });
+
+      // Classes are visited after their members, so restore source order
+      signatures.sort((a, b) => a.startLine - b.startLine);
+      types.sort((a, b) => a.startLine - b.startLine);
+
+      return { signatures, types, imports, dependencies, exports: moduleExports, references: [...references].sort(), diagnostics, detachedJSDocs };
+    } catch (error) {
+      return {
+        signatures: [],
+        types: [],
+        imports: [],
+        dependencies: [],
+        exports: [],
+        references: [],
+        diagnostics: [describeError(error, false)],
+        detachedJSDocs: []
+      };
+    }
+  } catch (error) {
+    return {
+      signatures: [],
+      types: [],
+      imports: [],
+      dependencies: [],
+      exports: [],
+      references: [],
+      diagnostics: [{ message: `Error reading file: ${error.message}`, line: null, column: null, recovered: false }],
+      detachedJSDocs: []
+    };
+  }
+}
+
+// Function to describe a diagnostic in one line, with its position if it has one
+export function formatDiagnostic({ message, line, column }) {
+  return line === null ? message : `${message} (line ${line}, column ${column})`;
+}
+
+// Helper function to describe a parse error as a diagnostic, with a 1-based line and column
+// acorn appends the 0-based position as (line:column) to its messages, which is left out
+function describeError(error, recovered) {
+  if (!error.loc) {
+    return { message: error.message, line: null, column: null, recovered };
+  }
+  return {
+    message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+    line: error.loc.line,
+    column: error.loc.column + 1,
+    recovered
+  };
+}
+
+// Helper function to tell whether a node is a require() call with a string literal
+function isRequireCall(node) {
+  return Boolean(node) && node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' && node.arguments.length > 0 &&
+    node.arguments[0].type === 'Literal' && typeof node.arguments[0].value === 'string';
+}
+
+// Helper function to tell whether a node is new URL() of a relative path and import.meta.url
+function isModuleUrl(node) {
+  const [specifier, base] = node.arguments;
+  return node.callee.type === 'Identifier' && node.callee.name === 'URL' && node.arguments.length === 2 &&
+    specifier.type === 'Literal' && typeof specifier.value === 'string' && /^\.\.?\//.test(specifier.value) &&
+    base.type === 'MemberExpression' && base.object.type === 'MetaProperty' && base.object.meta.name === 'import' &&
+    staticPropertyName(base) === 'url';
+}
+
+// Helper function to get the name of a member expression's property or an object property's key
+// Returns null when the name is only known at runtime
+function staticPropertyName(node) {
+  const key = node.type === 'MemberExpression' ? node.property : node.key;
+  if (!node.computed && key.type === 'Identifier') {
+    return key.name;
+  }
+  if (key.type === 'Literal' && (typeof key.value === 'string' || typeof key.value === 'number')) {
+    return String(key.value);
+  }
+  return null;
+}
+
+// Helper function to get what an assignment target exports in CommonJS
+// Returns '*' for module.exports itself, the property name for exports.name and module.exports.name, or null
+function commonJSExportName(target) {
+  const isModuleExports = node => node.type === 'MemberExpression' && node.object.type === 'Identifier' &&
+    node.object.name === 'module' && staticPropertyName(node) === 'exports';
+
+  if (target.type !== 'MemberExpression') {
+    return null;
+  }
+  if (isModuleExports(target)) {
+    return '*';
+  }
+  const isExportsObject = (target.object.type === 'Identifier' && target.object.name === 'exports') || isModuleExports(target.object);
+  return isExportsObject ? staticPropertyName(target) : null;
+}
+
+// Helper function to list the names an exported declaration binds, including destructured variables
+function declaredNames(declaration) {
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations.flatMap(declarator => patternNames(declarator.id));
+  }
+  return declaration.id && declaration.id.name ? [declaration.id.name] : [];
+}
+
+// Helper function to list the identifiers bound by a destructuring pattern
+function patternNames(pattern) {
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property => patternNames(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.filter(element => element).flatMap(patternNames);
+    case 'AssignmentPattern':
+      return patternNames(pattern.left);
+    case 'RestElement':
+      return patternNames(pattern.argument);
+    default:
+      return [];
+  }
+}
+
+// Helper function to shorten a type definition to one line of the report
+function truncateDefinition(definition) {
+  return definition.length > 120 ? `${definition.substring(0, 117)}...` : definition;
+}
+
+// Helper function to get the source of a node with the comments inside it left out
+function sourceWithoutComments(fileContent, node, comments) {
+  let text = '';
+  let position = node.start;
+  comments.filter(comment => comment.start >= node.start && comment.end <= node.end).forEach(comment => {
+    text += `${fileContent.substring(position, comment.start)} `;
+    position = comment.end;
+  });
+  return text + fileContent.substring(position, node.end);
+}
+
+// Helper function to shorten the source of an expression, such as an exported object, to a short label
+function shortenExpression(source) {
+  const text = source.replace(/\s+/g, ' ');
+  return text.length > 40 ? `${text.substring(0, 37)}...` : text;
+}
+
+// Helper function to build a type entry for a JSDoc @typedef, listing its @property names like an interface
+function createTypedefEntry({ name, type, description, properties }, comment) {
+  const definition = properties.length > 0
+    ? `typedef ${name} { ${properties.map(property => `${property.name}${property.optional ? '?' : ''}`).join(', ')} }`
+    : `typedef ${name} = ${type || '*'}`;
+
+  return {
+    name,
+    kind: 'typedef',
+    definition: truncateDefinition(definition),
+    description,
+    exported: true,
+    startLine: comment.loc.start.line,
+    endLine: comment.loc.end.line
+  };
+}
+
+// Helper function to get the return type of a function, from TypeScript or its JSDoc @returns tag
+function extractReturnType(fileContent, node, jsDoc) {
+  // A TypeScript annotation takes precedence over JSDoc
+  if (node.returnType) return typeAnnotationText(fileContent, node.returnType);
+  return jsDoc && jsDoc.returns && jsDoc.returns.type ? jsDoc.returns.type : '';
+}
+
+// Helper function to extract parameter information and types if available
+function extractParams(params, fileContent, jsDoc, includeJsDoc = true) {
+  if (!includeJsDoc) {
+    // Simplified params without JSDoc
+    return params.map(param => {
+      const p = param.type === 'TSParameterProperty' ? param.parameter : param;
+      if (p.type === 'Identifier') return p.name;
+      if (p.type === 'AssignmentPattern') return `${p.left.name} = ...`;
+      if (p.type === 'RestElement') return `...${p.argument.name}`;
+      if (p.type === 'ObjectPattern') {
+        // Enhance to extract all properties from the object pattern
+        if (p.properties && p.properties.length > 0) {
+          const props = p.properties.map(prop => {
+            if (prop.key && prop.key.name) {
+              return prop.key.name;
+            }
+            return '?';
+          });
+          return `{${props.join(', ')}}`;
+        }
+        return '{...}';
+      }
+      if (p.type === 'ArrayPattern') return '[...]';
+      return '?';
+    }).join(', ');
+  }
+
+  // Try to find parameter types in JSDoc if available
+  const paramTypes = extractJSDocParamTypes(jsDoc);
+
+  // Format parameters, potentially with types
+  return params.map(param => {
+    // TypeScript constructor parameter properties wrap the actual parameter
+    const p = param.type === 'TSParameterProperty' ? param.parameter : param;
+    let paramStr = '';
+
+    if (p.type === 'Identifier') {
+      const paramType = typeAnnotationText(fileContent, p.typeAnnotation) || paramTypes[p.name] || '';
+      paramStr = paramType ? `${p.name}: ${paramType}` : p.name;
+    } else if (p.type === 'AssignmentPattern') {
+      const paramName = p.left.name;
+      const paramType = typeAnnotationText(fileContent, p.left.typeAnnotation) || paramTypes[paramName] || '';
+      paramStr = paramType ? `${paramName}: ${paramType} = ...` : `${paramName} = ...`;
+    } else if (p.type === 'RestElement') {
+      const paramName = p.argument.name;
+      const annotatedType = typeAnnotationText(fileContent, p.typeAnnotation);
+      const paramType = annotatedType || (paramTypes[paramName] ? `${paramTypes[paramName]}[]` : '');
+      paramStr = paramType ? `...${paramName}: ${paramType}` : `...${paramName}`;
+    } else if (p.type === 'ObjectPattern') {
+      paramStr = '{...}';
+    } else if (p.type === 'ArrayPattern') {
+      paramStr = '[...]';
+    } else {
+      paramStr = '?';
+    }
+
+    return paramStr;
+  }).join(', ');
+}
+
+// Helper function to map parameter names to their JSDoc @param types
+function extractJSDocParamTypes(jsDoc) {
+  const paramTypes = Object.create(null); // No prototype, so names like 'constructor' don't match
+  if (jsDoc) {
+    jsDoc.params.forEach(({ name, type }) => {
+      paramTypes[name] = type || '';
+    });
+  }
+  return paramTypes;
+}
+
+// Helper function to describe each parameter as an object for structured output
+function extractParamDetails(params, fileContent, jsDoc) {
+  const paramTypes = extractJSDocParamTypes(jsDoc);
+
+  return params.map(param => {
+    const p = param.type === 'TSParameterProperty' ? param.parameter : param;
+    let target = p;
+    let annotation = p.typeAnnotation;
+    const detail = { name: '?', type: null, optional: Boolean(p.optional), rest: false };
+
+    if (p.type === 'AssignmentPattern') {
+      target = p.left;
+      annotation = p.left.typeAnnotation;
+      detail.optional = true;
+    } else if (p.type === 'RestElement') {
+      target = p.argument;
+      detail.rest = true;
+    }
+
+    // A TypeScript annotation takes precedence over the JSDoc @param type
+    const annotatedType = typeAnnotationText(fileContent, annotation);
+    if (annotatedType) {
+      detail.type = annotatedType;
+    }
+
+    if (target.type === 'Identifier') {
+      detail.name = target.name;
+      detail.type = detail.type || paramTypes[target.name] || null;
+    } else if (target.type === 'ObjectPattern') {
+      const props = target.properties.map(prop => (prop.key && prop.key.name) || '?');
+      detail.name = props.length > 0 ? `{${props.join(', ')}}` : '{...}';
+    } else if (target.type === 'ArrayPattern') {
+      detail.name = '[...]';
+    }
+
+    return detail;
+  });
+}
+
+// Function to format a method signature
+function formatSignature(prefix, name, params, returnType, isArrow = false, lineCount = 0) {
+  // Base signature
+  let signature;
+  if (isArrow) {
+    signature = `${prefix} ${name} = (${params}) => {...}${returnType ? ` : ${returnType}` : ''}`;
+  } else {
+    signature = `${prefix} ${name}(${params})${returnType ? `: ${returnType}` : ''}`;
+  }
+
+  // Add line count
+  if (lineCount > 0) {
+    signature += ` [${lineCount} lines]`;
+  }
+
+  return signature;
+}
+
+// Function to list the properties of an options parameter documented as @param options.name
+// Returns them formatted as a destructuring pattern, or null
+function extractJSDocParams(jsDoc) {
+  if (!jsDoc) return null;
+
+  const optionsParams = jsDoc.params
+    .filter(param => /^options\.[\w$]+$/.test(param.name))
+    .map(param => param.name.substring('options.'.length));
+
+  return optionsParams.length > 0 ? `{${optionsParams.join(', ')}}` : null;
+}
+
+// Function to get the function name shown in the report from a signature string
+export function extractDisplayName(signature) {
+  const nameMatch = signature.match(/(?:function|async function|const|async const|export function|export default function|export default async function|method|async method|export default|export default async)\s+(\w+)/);
+
+  if (nameMatch && nameMatch[1]) {
+    return nameMatch[1];
+  } else if (signature.includes(' = (')) {
+    // Handle arrow functions: "const name = (...) => {...}"
+    const arrowNameMatch = signature.match(/(?:const|async const|export const|async export const)\s+(\w+)\s+=\s+\(/);
+    if (arrowNameMatch && arrowNameMatch[1]) {
+      return arrowNameMatch[1];
+    }
+  }
+
+  return '';
+}
@@ -0,0 +1,143 @@
+/**
+ * Quality gate: checks an analysis model against the thresholds in .code-structure.json
+ *
+ * Thresholds (all optional; a missing key is not checked):
+ *   maxFileLines            Lines per scanned file
+ *   maxFunctionLines        Lines in a function or method body
+ *   maxComplexity           Cyclomatic complexity of a function or method (see lib/metrics.js)
+ *   maxCognitiveComplexity  Cognitive complexity of a function or method
+ *   requireJsDocOnExports   true: exported functions need a JSDoc description
+ *   noParseErrors           true: every source file must parse
+ *   noCycles                true: no import cycles between scanned modules (see lib/cycles.js)
+ *
+ * A baseline file lists violations that are accepted for now. They are matched by rule, file and
+ * function name rather than line, so unrelated edits don't bring them back.
+ */
+
+import path from 'path';
+import { listFunctions } from './metrics.js';
+import { formatCycleChain } from './cycles.js';
+
+// Version of the baseline file format
+const BASELINE_VERSION = 1;
+
+// Kind of value each threshold takes
+const THRESHOLD_TYPES = {
+  maxFileLines: 'limit',
+  maxFunctionLines: 'limit',
+  maxComplexity: 'limit',
+  maxCognitiveComplexity: 'limit',
+  requireJsDocOnExports: 'flag',
+  noParseErrors: 'flag',
+  noCycles: 'flag'
+};
+
+// Function to check the thresholds of a loaded configuration, throwing on unknown keys and bad values
+export function validateThresholds(thresholds) {
+  Object.entries(thresholds).forEach(([key, value]) => {
+    if (!THRESHOLD_TYPES[key]) {
+      throw new Error(`Unknown threshold "${key}"; expected one of: ${Object.keys(THRESHOLD_TYPES).join(', ')}`);
+    }
+    if (THRESHOLD_TYPES[key] === 'limit' && !(Number.isInteger(value) && value >= 0)) {
+      throw new Error(`Threshold "${key}" must be a non-negative integer`);
+    }
+    if (THRESHOLD_TYPES[key] === 'flag' && typeof value !== 'boolean') {
+      throw new Error(`Threshold "${key}" must be true or false`);
+    }
+  });
+}
+
+// Function to collect every threshold violation in a model, sorted by file and line
+// Returns [{ rule, path, line, name, message }]; name is null for file-level violations
+export function findViolations(model, thresholds) {
+  const violations = [];
+
+  function add(rule, filePath, line, name, message) {
+    violations.push({ rule, path: filePath, line, name, message });
+  }
+
+  if (thresholds.maxFileLines !== undefined) {
+    [...model.files, ...model.otherFiles].forEach(file => {
+      if (file.lineCount > thresholds.maxFileLines) {
+        add('max-file-lines', file.path, 1, null, `File has ${file.lineCount} lines (limit ${thresholds.maxFileLines})`);
+      }
+    });
+  }
+
+  if (thresholds.noParseErrors) {
+    model.files.forEach(file => {
+      if (file.parseError) {
+        add('no-parse-errors', file.path, file.diagnostics[0].line || 1, null, file.parseError);
+      }
+    });
+  }
+
+  // A cycle is named by its chain of files, so the baseline keeps accepting it while its lines move
+  if (thresholds.noCycles) {
+    model.cycles.forEach(cycle => {
+      const chain = formatCycleChain(cycle);
+      add('no-cycles', cycle.files[0], cycle.imports[0].line, chain, `Import cycle: ${chain}`);
+    });
+  }
+
+  listFunctions(model.files).forEach(({ path: filePath, name, line, lineCount, metrics, entry }) => {
+    if (thresholds.maxFunctionLines !== undefined && lineCount > thresholds.maxFunctionLines) {
+      add('max-function-lines', filePath, line, name, `\`${name}\` has ${lineCount} lines (limit ${thresholds.maxFunctionLines})`);
+    }
+    if (thresholds.maxComplexity !== undefined && metrics.cyclomatic > thresholds.maxComplexity) {
+      add('max-complexity', filePath, line, name, `\`${name}\` has cyclomatic complexity ${metrics.cyclomatic} (limit ${thresholds.maxComplexity})`);
+    }
+    if (thresholds.maxCognitiveComplexity !== undefined && metrics.cognitive > thresholds.maxCognitiveComplexity) {
+      add('max-cognitive-complexity', filePath, line, name, `\`${name}\` has cognitive complexity ${metrics.cognitive} (limit ${thresholds.maxCognitiveComplexity})`);
+    }
+    if (thresholds.requireJsDocOnExports && entry.exported && !entry.description) {
+      add('require-jsdoc-exports', filePath, line, name, `Exported function \`${name}\` has no JSDoc description`);
+    }
+  });
+
+  return violations.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : a.line - b.line));
+}
+
+// Helper function to identify a violation independently of its line and platform path separator
+function baselineKey({ rule, path: filePath, name }) {
+  return [rule, filePath.split(path.sep).join('/'), name || ''].join('\0');
+}
+
+// Function to create the baseline document that accepts the given violations
+export function createBaseline(violations) {
+  return {
+    version: BASELINE_VERSION,
+    violations: violations.map(({ rule, path: filePath, name }) => ({
+      rule,
+      path: filePath.split(path.sep).join('/'),
+      name
+    }))
+  };
+}
+
+// Function to split violations into new ones and ones the baseline accepts
+// Returns { violations, baselined, fixed }: fixed counts baseline entries that no longer occur
+export function applyBaseline(violations, baseline) {
+  if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.violations)) {
+    throw new Error(`Unsupported baseline file; expected version ${BASELINE_VERSION}`);
+  }
+
+  // A baseline entry accepts one violation, so a second long function of the same name is still new
+  const remaining = new Map();
+  baseline.violations.forEach(entry => {
+    const key = baselineKey(entry);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  });
+
+  const newViolations = violations.filter(violation => {
+    const key = baselineKey(violation);
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+      return false;
+    }
+    return true;
+  });
+
+  const fixed = [...remaining.values()].reduce((sum, count) => sum + count, 0);
+  return { violations: newViolations, baselined: violations.length - newViolations.length, fixed };
+}
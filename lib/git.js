@@ -0,0 +1,68 @@
+/**
+ * Helpers that read the local git repository, used by --changed-since
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+// Function to run git in a directory and return its output
+function runGit(cwd, gitArgs, { env = process.env, input } = {}) {
+  try {
+    return execFileSync('git', gitArgs, {
+      cwd,
+      env,
+      input,
+      encoding: 'utf8',
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch (error) {
+    const reason = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new Error(`git ${gitArgs[0]} failed: ${reason}`);
+  }
+}
+
+// Function to check that ref names a commit; throws with git's own message for an unknown ref or
+// a directory outside a repository
+export function verifyRef(dirPath, ref) {
+  runGit(dirPath, ['rev-parse', '--verify', '--end-of-options', `${ref}^{commit}`]);
+}
+
+// Function to list files under dirPath that differ from ref, including uncommitted and untracked files
+// Paths are relative to dirPath and use the platform separator; deleted files are left out by the caller
+export function listChangedFiles(dirPath, ref) {
+  verifyRef(dirPath, ref);
+
+  const changed = runGit(dirPath, ['diff', '--name-only', '--relative', '-z', ref, '--']);
+  const untracked = runGit(dirPath, ['ls-files', '--others', '--exclude-standard', '-z', '--', '.']);
+
+  return new Set(
+    `${changed}${untracked}`
+      .split('\0')
+      .filter(filePath => filePath)
+      .map(filePath => filePath.split('/').join(path.sep))
+  );
+}
+
+// Function to write the files under dirPath as they were at ref into targetDir, using a temporary
+// index so the working tree and the real index are left alone
+// Returns the directory inside targetDir that corresponds to dirPath
+export function checkoutRef(dirPath, ref, targetDir) {
+  verifyRef(dirPath, ref);
+
+  const repositoryRoot = runGit(dirPath, ['rev-parse', '--show-toplevel']).trim();
+  const prefix = path.relative(repositoryRoot, fs.realpathSync(dirPath));
+  fs.mkdirSync(targetDir, { recursive: true });
+  const env = { ...process.env, GIT_INDEX_FILE: path.join(targetDir, 'index') };
+  const treeDir = path.join(targetDir, 'tree');
+
+  runGit(repositoryRoot, ['read-tree', `${ref}^{tree}`], { env });
+  const files = runGit(repositoryRoot, ['ls-files', '-z', '--', prefix || '.'], { env });
+  runGit(repositoryRoot, ['checkout-index', '--force', '-z', '--stdin', `--prefix=${treeDir}${path.sep}`], { env, input: files });
+
+  // The directory may not have existed yet at ref; an empty one compares as having no files
+  const checkedOutDir = path.join(treeDir, prefix);
+  fs.mkdirSync(checkedOutDir, { recursive: true });
+  return checkedOutDir;
+}
@@ -0,0 +1,129 @@
+/**
+ * .gitignore support for the directory scan (lib/scan.js)
+ *
+ * Rules come from every .gitignore between the repository root and the scanned path, plus
+ * .git/info/exclude. As in git, a deeper file overrides a shallower one, the last matching rule
+ * in a file wins, `!` re-includes a path, and nothing below an ignored directory is re-included.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { compileGlob, matchRules } from './glob.js';
+
+// Function to find the directory containing .git at or above a directory, or null outside a repository
+function findRepositoryRoot(dirPath) {
+  let current = path.resolve(dirPath);
+  while (true) {
+    if (fs.existsSync(path.join(current, '.git'))) {
+      return current;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+// Function to parse the lines of one ignore file into rules
+function parseGitignore(text) {
+  const rules = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless escaped with a backslash
+    const line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    // A leading \! or \# stays escaped, which the glob treats as a literal character
+    const rule = compileGlob(line);
+    if (rule) {
+      rules.push(rule);
+    }
+  }
+
+  return rules;
+}
+
+// Function to create a filter that tells whether paths under rootDir are ignored by git
+export function createGitignoreFilter(rootDir, { enabled = true } = {}) {
+  const repositoryRoot = findRepositoryRoot(rootDir) || path.resolve(rootDir);
+  const rulesByDir = new Map();
+  const ignoredDirs = new Map();
+
+  // Function to read the rules of the .gitignore in a directory, once
+  function rulesIn(dirPath) {
+    if (!rulesByDir.has(dirPath)) {
+      const ignoreFiles = [path.join(dirPath, '.gitignore')];
+      if (dirPath === repositoryRoot) {
+        // Repository-local excludes apply before, and so lose to, the root .gitignore
+        ignoreFiles.unshift(path.join(dirPath, '.git', 'info', 'exclude'));
+      }
+
+      const rules = [];
+      for (const ignoreFile of ignoreFiles) {
+        try {
+          rules.push(...parseGitignore(fs.readFileSync(ignoreFile, 'utf8')));
+        } catch (error) {
+          // Most directories have no ignore file
+        }
+      }
+      rulesByDir.set(dirPath, rules);
+    }
+    return rulesByDir.get(dirPath);
+  }
+
+  // Function to apply the rules of every ignore file above a path, ignoring its parents
+  function matches(absolutePath, isDirectory) {
+    let ignored = false;
+    let dirPath = path.dirname(absolutePath);
+    const ruleDirs = [];
+    while (true) {
+      ruleDirs.unshift(dirPath);
+      if (dirPath === repositoryRoot || path.dirname(dirPath) === dirPath) {
+        break;
+      }
+      dirPath = path.dirname(dirPath);
+    }
+
+    for (const ruleDir of ruleDirs) {
+      const relativePath = path.relative(ruleDir, absolutePath).split(path.sep).join('/');
+      const matched = matchRules(rulesIn(ruleDir), relativePath, isDirectory);
+      if (matched !== null) {
+        ignored = matched;
+      }
+    }
+    return ignored;
+  }
+
+  // Function to tell whether a directory or any of its parents is ignored
+  function isIgnoredDir(dirPath) {
+    if (!ignoredDirs.has(dirPath)) {
+      const parent = path.dirname(dirPath);
+      const ignored = dirPath !== repositoryRoot && parent !== dirPath &&
+        (isIgnoredDir(parent) || matches(dirPath, true));
+      ignoredDirs.set(dirPath, ignored);
+    }
+    return ignoredDirs.get(dirPath);
+  }
+
+  return {
+    enabled,
+
+    ignores(absolutePath, isDirectory = false) {
+      if (!enabled) {
+        return false;
+      }
+
+      const resolvedPath = path.resolve(absolutePath);
+      if (path.relative(repositoryRoot, resolvedPath).startsWith('..')) {
+        return false;
+      }
+      if (isDirectory) {
+        return isIgnoredDir(resolvedPath);
+      }
+      return isIgnoredDir(path.dirname(resolvedPath)) || matches(resolvedPath, false);
+    }
+  };
+}
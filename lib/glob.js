@@ -0,0 +1,143 @@
+/**
+ * Glob matching for .code-structure.json patterns and .gitignore rules
+ *
+ * Patterns use .gitignore syntax: `*` and `?` stay within one path segment, `**` spans directories,
+ * a pattern without a slash (other than a trailing one) matches at any depth, a trailing slash only
+ * matches directories, and a leading `!` re-includes what an earlier pattern matched. Within a list
+ * of patterns the last one that matches wins.
+ */
+
+import path from 'path';
+
+// Function to convert a glob to a regular expression source matching a /-separated path
+function globToRegexSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/')) {
+      if (glob[i + 2] === '/') {
+        // Leading or middle "**/" matches zero or more directories
+        source += '(?:.*/)?';
+        i += 2;
+        continue;
+      }
+      if (i + 2 === glob.length) {
+        // Trailing "/**" matches everything inside
+        source += '.*';
+        i += 1;
+        continue;
+      }
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let range = glob.slice(i + 1, end);
+      if (range.startsWith('!')) {
+        range = `^${range.slice(1)}`;
+      }
+      source += `[${range.replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+// Function to compile one pattern into a rule, or null for an empty pattern
+export function compileGlob(pattern) {
+  let glob = pattern;
+
+  let negated = false;
+  if (glob.startsWith('!')) {
+    negated = true;
+    glob = glob.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (glob.endsWith('/')) {
+    directoryOnly = true;
+    glob = glob.slice(0, -1);
+  }
+
+  // A slash anywhere but the end ties the pattern to the root
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) {
+    glob = glob.slice(1);
+  }
+  if (!glob) {
+    return null;
+  }
+
+  const source = globToRegexSource(glob);
+  return {
+    pattern,
+    negated,
+    directoryOnly,
+    filesOnly: false,
+    regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+  };
+}
+
+// Function to apply rules to a /-separated relative path
+// Returns true when the last matching rule matches, false when it is negated, null when none match
+export function matchRules(rules, relativePath, isDirectory) {
+  let matched = null;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory || rule.filesOnly && isDirectory) {
+      continue;
+    }
+    if (rule.regex.test(relativePath)) {
+      matched = !rule.negated;
+    }
+  }
+  return matched;
+}
+
+// Helper function to turn a platform path into the /-separated form patterns are written in
+function toPatternPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+// Function to create the filter both scanners use to pick files from a loaded configuration
+// excludePaths only match directories and excludeFiles only match files; exclude matches either
+export function createPathFilter(config) {
+  const excludeRules = [
+    ...config.excludePaths.map(pattern => compileGlob(pattern.endsWith('/') ? pattern : `${pattern}/`)),
+    ...config.excludeFiles.map(pattern => {
+      const rule = compileGlob(pattern);
+      return rule && { ...rule, filesOnly: true };
+    }),
+    ...config.exclude.map(compileGlob)
+  ].filter(rule => rule);
+  const includeRules = config.include.map(compileGlob).filter(rule => rule);
+
+  return {
+    // Whether a directory, given relative to the scanned root, is skipped with everything in it
+    excludesDirectory(relativePath) {
+      return matchRules(excludeRules, toPatternPath(relativePath), true) === true;
+    },
+
+    // Whether a file, given relative to the scanned root, is scanned; its directories are checked separately
+    includesFile(relativePath) {
+      const filePath = toPatternPath(relativePath);
+      if (matchRules(excludeRules, filePath, false) === true) {
+        return false;
+      }
+      return includeRules.length === 0 || matchRules(includeRules, filePath, false) === true;
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Project-wide module dependency graph and call graph, built from per-file analysis results
+ */
+
+import { isRelativeSpecifier } from './resolve.js';
+
+// Function to build the module dependency graph from each file's resolved imports
+export function buildDependencyGraph(entries) {
+  const nodes = new Map();
+  entries.forEach(({ relativePath }) => {
+    nodes.set(relativePath, { relativePath, imports: [], importedBy: [], external: [], unresolved: [] });
+  });
+
+  const externalPackages = new Map();
+
+  entries.forEach(({ relativePath, dependencies }) => {
+    const node = nodes.get(relativePath);
+
+    dependencies.forEach(({ source, resolvedPath }) => {
+      if (resolvedPath) {
+        if (resolvedPath !== relativePath && !node.imports.includes(resolvedPath)) {
+          node.imports.push(resolvedPath);
+        }
+        const target = nodes.get(resolvedPath);
+        if (target && resolvedPath !== relativePath && !target.importedBy.includes(relativePath)) {
+          target.importedBy.push(relativePath);
+        }
+      } else if (isRelativeSpecifier(source)) {
+        node.unresolved.push(source);
+      } else {
+        node.external.push(source);
+        const packageName = source.replace(/^node:/, '').split('/').slice(0, source.startsWith('@') ? 2 : 1).join('/');
+        if (!externalPackages.has(packageName)) {
+          externalPackages.set(packageName, []);
+        }
+        externalPackages.get(packageName).push(relativePath);
+      }
+    });
+  });
+
+  const files = Array.from(nodes.values()).sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  return {
+    files,
+    external: Array.from(externalPackages.entries())
+      .map(([name, importedBy]) => ({ name, importedBy: Array.from(new Set(importedBy)) }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    notImported: files.filter(node => node.importedBy.length === 0).map(node => node.relativePath)
+  };
+}
+
+// Function to build a project-wide call graph from the per-file method calls
+// aliases maps the label of an imported call to the node it reaches when the names differ, such as
+// path#default to the function a file exports as default, or a re-exported name to its declaration
+export function buildCallGraph(entries, aliases = new Map()) {
+  const nodes = new Map();
+  const nodeId = (relativePath, functionName) => `${relativePath}#${functionName}`;
+
+  entries.forEach(({ relativePath, functionName }) => {
+    const id = nodeId(relativePath, functionName);
+    if (!nodes.has(id)) {
+      nodes.set(id, { id, relativePath, functionName, calls: [], calledBy: [] });
+    }
+  });
+
+  entries.forEach(({ relativePath, functionName, methodCalls }) => {
+    const caller = nodes.get(nodeId(relativePath, functionName));
+
+    methodCalls.forEach(call => {
+      // Imported calls that resolved to a scanned file are already labelled with their node id
+      const calleeLabel = call.includes('#') ? aliases.get(call) || call : nodeId(relativePath, call);
+      const callee = nodes.get(calleeLabel);
+      const label = callee || call.includes('#') ? calleeLabel : call;
+
+      if (!caller.calls.includes(label)) {
+        caller.calls.push(label);
+      }
+      if (callee && !callee.calledBy.includes(caller.id)) {
+        callee.calledBy.push(caller.id);
+      }
+    });
+  });
+
+  return Array.from(nodes.values())
+    .filter(node => node.calls.length > 0 || node.calledBy.length > 0)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
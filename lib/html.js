@@ -0,0 +1,301 @@
+/**
+ * Rendering of an analysis model (see lib/analyze.js) as a single self-contained HTML page
+ *
+ * Styles and scripts are inlined and nothing is loaded from the network, so the page works when
+ * opened from a CI artifact. Everything is rendered up front; the script only filters the search
+ * results and sorts the tables, so the content is still readable with scripts disabled.
+ */
+
+import path from 'path';
+import { extractDisplayName } from './extract.js';
+import { listFunctions } from './metrics.js';
+import { formatMemberName, formatParams, formatTypeSuffix } from './report.js';
+import { formatDefinition } from './reexports.js';
+import { groupByDirectory } from './scan.js';
+
+// Styles of the page
+const STYLE = `
+body { margin: 0; font: 14px/1.5 system-ui, sans-serif; color: #1f2328; display: flex; height: 100vh; }
+nav { width: 320px; flex-shrink: 0; overflow: auto; border-right: 1px solid #d0d7de; padding: 12px; box-sizing: border-box; background: #f6f8fa; }
+main { flex-grow: 1; overflow: auto; padding: 0 24px 24px; }
+nav ul { list-style: none; margin: 0; padding-left: 16px; }
+nav > ul { padding-left: 0; }
+summary { cursor: pointer; }
+a { color: #0969da; text-decoration: none; }
+a:hover { text-decoration: underline; }
+code { font: 13px ui-monospace, monospace; }
+input[type=search] { width: 100%; box-sizing: border-box; padding: 4px 8px; margin-bottom: 8px; }
+table { border-collapse: collapse; margin-bottom: 16px; }
+th, td { border: 1px solid #d0d7de; padding: 2px 8px; text-align: left; }
+td.number { text-align: right; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; }
+th[data-order=asc]::after { content: ' \\25B2'; }
+th[data-order=desc]::after { content: ' \\25BC'; }
+section.file { border-top: 1px solid #d0d7de; }
+.meta { color: #59636e; font-size: 12px; }
+.deprecated { color: #cf222e; font-weight: bold; }
+#search-results li { margin-bottom: 4px; }
+`;
+
+// Script filtering the signatures by the search box and sorting tables by the clicked column
+const SCRIPT = `
+(function () {
+  var signatures = Array.prototype.slice.call(document.querySelectorAll('.signature'));
+  var search = document.getElementById('search');
+  var results = document.getElementById('search-results');
+
+  search.addEventListener('input', function () {
+    var query = search.value.trim().toLowerCase();
+    results.textContent = '';
+    if (!query) {
+      return;
+    }
+    var matches = signatures.filter(function (item) {
+      return item.getAttribute('data-search').indexOf(query) !== -1;
+    });
+    matches.slice(0, 200).forEach(function (item) {
+      var result = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = '#' + item.id;
+      link.textContent = item.getAttribute('data-label');
+      result.appendChild(link);
+      results.appendChild(result);
+    });
+    var summary = document.createElement('li');
+    summary.className = 'meta';
+    summary.textContent = matches.length + ' match(es)' + (matches.length > 200 ? ', first 200 shown' : '');
+    results.appendChild(summary);
+  });
+
+  Array.prototype.forEach.call(document.querySelectorAll('table.sortable'), function (table) {
+    var headers = table.tHead.rows[0].cells;
+    Array.prototype.forEach.call(headers, function (header, column) {
+      header.addEventListener('click', function () {
+        var ascending = header.getAttribute('data-order') !== 'asc';
+        Array.prototype.forEach.call(headers, function (other) {
+          other.removeAttribute('data-order');
+        });
+        header.setAttribute('data-order', ascending ? 'asc' : 'desc');
+
+        var numeric = header.getAttribute('data-type') === 'number';
+        var body = table.tBodies[0];
+        var rows = Array.prototype.slice.call(body.rows);
+        rows.sort(function (a, b) {
+          var x = a.cells[column].textContent;
+          var y = b.cells[column].textContent;
+          var order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+          return ascending ? order : -order;
+        });
+        rows.forEach(function (row) {
+          body.appendChild(row);
+        });
+      });
+    });
+  });
+})();
+`;
+
+// Helper function to escape text for HTML content and attribute values
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper function to format a sortable table; columns are { title, numeric }, rows hold HTML cells
+function formatTable(columns, rows) {
+  const headers = columns
+    .map(({ title, numeric }) => `<th${numeric ? ' data-type="number"' : ''}>${escapeHtml(title)}</th>`)
+    .join('');
+  const body = rows
+    .map(cells => `<tr>${cells.map((cell, index) => `<td${columns[index].numeric ? ' class="number"' : ''}>${cell}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table class="sortable"><thead><tr>${headers}</tr></thead>\n<tbody>\n${body}\n</tbody></table>\n`;
+}
+
+// Function to format the directory tree as nested collapsible lists linking to the file panels
+function formatNavigator(model, fileIds) {
+  const entriesByDir = groupByDirectory(model.directories, [...model.files, ...model.otherFiles]);
+  const byName = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  // Function to render one directory and recurse into its subdirectories
+  function renderDir(relativePath) {
+    const { dirs, files } = entriesByDir.get(relativePath);
+    let items = '';
+
+    dirs.slice().sort(byName).forEach(dir => {
+      items += `<li><details open><summary>${escapeHtml(path.basename(dir))}/</summary>${renderDir(dir)}</details></li>\n`;
+    });
+    files.slice().sort((a, b) => byName(path.basename(a.path), path.basename(b.path))).forEach(file => {
+      const name = escapeHtml(path.basename(file.path));
+      const label = fileIds.has(file.path) ? `<a href="#${fileIds.get(file.path)}">${name}</a>` : name;
+      items += `<li>${label} <span class="meta">${file.lineCount}</span></li>\n`;
+    });
+
+    return `<ul>\n${items}</ul>`;
+  }
+
+  return renderDir('');
+}
+
+// Function to format a signature or class member as a searchable list item
+// The item is left open, so the members of a class can be nested in it
+function formatSignature(entry, displayName, filePath, id, withParams = true) {
+  const details = [`line ${entry.startLine}`];
+  if (entry.lineCount) {
+    details.push(`${entry.lineCount} lines`);
+  }
+  if (entry.metrics && entry.metrics.cyclomatic > 1) {
+    details.push(`complexity ${entry.metrics.cyclomatic}`);
+  }
+
+  const description = entry.description || '';
+  const search = `${displayName} ${description}`.toLowerCase();
+  let item = `<li class="signature" id="${id}" data-label="${escapeHtml(`${filePath}#${displayName}`)}" data-search="${escapeHtml(search)}">`;
+  item += `<code>${escapeHtml(`${displayName}${withParams ? `(${formatParams(entry)})` : ''}${formatTypeSuffix(entry)}`)}</code>`;
+  if (entry.jsDoc && entry.jsDoc.deprecated !== null) {
+    item += ' <span class="deprecated">deprecated</span>';
+  }
+  if (description) {
+    item += ` ${escapeHtml(description)}`;
+  }
+  return `${item} <span class="meta">${details.join(', ')}</span>`;
+}
+
+// Function to format the panel of one file with its imports, types and signatures
+function formatFilePanel(file, fileId) {
+  let panel = `<section class="file" id="${fileId}">\n<h3>${escapeHtml(file.path)} <span class="meta">${file.lineCount} lines</span></h3>\n`;
+
+  if (file.parseError) {
+    const outcome = file.diagnostics[0].recovered ? '; lines with errors were skipped' : '';
+    panel += `<p class="meta">Parse error: ${escapeHtml(file.parseError)}${outcome}</p>\n`;
+  }
+  if (file.importStatements && file.importStatements.length > 0) {
+    panel += '<h4>Imports</h4>\n<ul>\n';
+    file.importStatements.forEach(importStatement => {
+      panel += `<li><code>${escapeHtml(importStatement)}</code></li>\n`;
+    });
+    panel += '</ul>\n';
+  }
+  if (file.reExports && file.reExports.length > 0) {
+    panel += '<h4>Re-exports</h4>\n<ul>\n';
+    file.reExports.forEach(({ name, source, definedIn }) => {
+      panel += `<li><code>${escapeHtml(name)}</code> from <code>${escapeHtml(source)}</code>`;
+      panel += `${definedIn ? `: ${escapeHtml(formatDefinition(definedIn))}` : ''}</li>\n`;
+    });
+    panel += '</ul>\n';
+  }
+  if (file.types && file.types.length > 0) {
+    panel += '<h4>Types</h4>\n<ul>\n';
+    file.types.forEach(({ definition, description }) => {
+      panel += `<li><code>${escapeHtml(definition)}</code>${description ? ` ${escapeHtml(description)}` : ''}</li>\n`;
+    });
+    panel += '</ul>\n';
+  }
+
+  const signatures = (file.signatures || []).filter(entry => entry.kind);
+  if (signatures.length > 0) {
+    panel += '<h4>Methods</h4>\n<ul>\n';
+    signatures.forEach((entry, index) => {
+      const id = `${fileId}-${index}`;
+      if (entry.kind === 'value') {
+        panel += `${formatSignature(entry, entry.signature, file.path, id, false)}</li>\n`;
+        return;
+      }
+      if (entry.kind !== 'class') {
+        panel += `${formatSignature(entry, extractDisplayName(entry.signature), file.path, id)}</li>\n`;
+        return;
+      }
+
+      // Nest methods, accessors and fields under their class
+      panel += `${formatSignature(entry, entry.signature, file.path, id, false)}\n<ul>\n`;
+      entry.members.forEach((member, memberIndex) => {
+        const displayName = formatMemberName(member);
+        panel += `${formatSignature(member, displayName, file.path, `${id}-${memberIndex}`, member.kind !== 'field')}</li>\n`;
+      });
+      panel += '</ul></li>\n';
+    });
+    panel += '</ul>\n';
+  }
+
+  return `${panel}</section>\n`;
+}
+
+// Function to render a model as a self-contained HTML page, one part at a time
+// Each file is read and its panel yielded separately, so the page can be written out without building it in one string
+export function* generateHtml(model) {
+  const { root, changedSince, files, readFile = file => file } = model;
+  const fileIds = new Map(files.map((file, index) => [file.path, `file-${index}`]));
+  const fileLink = filePath => `<a href="#${fileIds.get(filePath)}">${escapeHtml(filePath)}</a>`;
+  const title = `Code structure of ${path.basename(root)}`;
+
+  let content = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n';
+  content += `<title>${escapeHtml(title)}</title>\n<style>${STYLE}</style>\n</head>\n<body>\n`;
+
+  content += '<nav>\n<input type="search" id="search" placeholder="Search functions and descriptions">\n';
+  content += '<ul id="search-results"></ul>\n';
+  content += `${formatNavigator(model, fileIds)}\n</nav>\n`;
+
+  content += `<main>\n<h1>${escapeHtml(title)}</h1>\n`;
+  content += `<p class="meta">Generated ${new Date().toISOString()} from ${escapeHtml(root)}`;
+  content += `${changedSince ? `, files changed since ${escapeHtml(changedSince)}` : ''}</p>\n`;
+
+  content += '<h2>Files</h2>\n';
+  content += formatTable(
+    [
+      { title: 'File' },
+      { title: 'Language' },
+      { title: 'Lines', numeric: true },
+      { title: 'Functions', numeric: true },
+      { title: 'Imports', numeric: true }
+    ],
+    files.map(file => [
+      fileLink(file.path),
+      escapeHtml(file.language),
+      file.lineCount,
+      listFunctions([readFile(file)]).length,
+      (file.imports || []).length
+    ])
+  );
+
+  content += '<h2>Functions</h2>\n';
+  content += formatTable(
+    [
+      { title: 'Function' },
+      { title: 'Line', numeric: true },
+      { title: 'Lines', numeric: true },
+      { title: 'Cyclomatic', numeric: true },
+      { title: 'Cognitive', numeric: true },
+      { title: 'Nesting', numeric: true },
+      { title: 'Params', numeric: true },
+      { title: 'Returns', numeric: true }
+    ],
+    // Each file is read on its own, keeping only the rows of its functions
+    files.flatMap(file => listFunctions([readFile(file)]).map(({ path: filePath, name, line, lineCount, metrics }) => [
+      `<a href="#${fileIds.get(filePath)}">${escapeHtml(`${filePath}#${name}`)}</a>`,
+      line,
+      lineCount,
+      metrics.cyclomatic,
+      metrics.cognitive,
+      metrics.maxNesting,
+      metrics.params,
+      metrics.returns
+    ]))
+  );
+
+  content += '<h2>File details</h2>\n';
+  yield content;
+
+  for (const file of files) {
+    yield formatFilePanel(readFile(file), fileIds.get(file.path));
+  }
+
+  yield `</main>\n<script>${SCRIPT}</script>\n</body>\n</html>\n`;
+}
+
+// Function to render a model as a self-contained HTML page
+export function formatHtml(model) {
+  return Array.from(generateHtml(model)).join('');
+}
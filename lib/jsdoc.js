@@ -0,0 +1,99 @@
+/**
+ * JSDoc coverage and consistency of an analysis model
+ *
+ * Coverage is the share of exported functions with a description. Consistency compares the @param
+ * tags of the JSDoc comment attached to each function (see lib/comments.js) with its real parameters,
+ * and flags JSDoc blocks that are attached to nothing, such as one separated from its function by code.
+ */
+
+import { listFunctions } from './metrics.js';
+
+// Helper function to format a coverage percentage; files without exported functions count as covered
+function percentage(documented, total) {
+  return total === 0 ? 100 : Math.round(documented / total * 1000) / 10;
+}
+
+// Function to compare the JSDoc block of a function with its parameters
+// Returns [{ kind, message }] with kind 'unknown-param' or 'undocumented-param'
+function findJSDocIssues(name, entry) {
+  const { jsDoc } = entry;
+  if (!jsDoc) {
+    return [];
+  }
+
+  // @param options.name documents a property of options
+  const documented = [...new Set(jsDoc.params.map(param => param.name.split('.')[0]))];
+
+  // A TypeScript `this` parameter only declares a type and takes no argument
+  const params = entry.params.filter(param => param.name !== 'this');
+  const identifiers = params.map(param => param.name).filter(paramName => /^[\w$]+$/.test(paramName));
+  const destructuredCount = params.length - identifiers.length;
+
+  // Destructured parameters have no name of their own, so that many unmatched tags are taken to document them
+  const unknown = documented.filter(paramName => !identifiers.includes(paramName)).slice(destructuredCount);
+  const undocumented = identifiers.filter(paramName => !documented.includes(paramName));
+
+  return [
+    ...unknown.map(paramName => ({ kind: 'unknown-param', message: `\`${name}\`: @param \`${paramName}\` does not match a parameter` })),
+    ...undocumented.map(paramName => ({ kind: 'undocumented-param', message: `\`${name}\`: parameter \`${paramName}\` is not documented` }))
+  ];
+}
+
+// Function to build the JSDoc report of a model, for files with exported functions or issues
+// Returns { exported, documented, coverage, files: [{ path, exported, documented, coverage, issues: [{ line, kind, message }] }] }
+// kind is 'detached', 'unknown-param' or 'undocumented-param'
+export function buildJSDocReport(model) {
+  const filesByPath = new Map();
+  const getFile = filePath => {
+    if (!filesByPath.has(filePath)) {
+      filesByPath.set(filePath, { path: filePath, exported: 0, documented: 0, coverage: 100, issues: [] });
+    }
+    return filesByPath.get(filePath);
+  };
+
+  listFunctions(model.files).forEach(({ path: filePath, name, line, entry }) => {
+    const file = getFile(filePath);
+
+    if (entry.exported) {
+      file.exported++;
+      if (entry.description) {
+        file.documented++;
+      }
+    }
+    findJSDocIssues(name, entry).forEach(issue => file.issues.push({ line, ...issue }));
+  });
+
+  model.files.forEach(({ path: filePath, detachedJSDocs = [] }) => {
+    detachedJSDocs.forEach(({ line }) => {
+      getFile(filePath).issues.push({ line, kind: 'detached', message: 'JSDoc block documents nothing; code or another block separates it from the declaration after it' });
+    });
+  });
+
+  const files = [...filesByPath.values()]
+    .filter(file => file.exported > 0 || file.issues.length > 0)
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  files.forEach(file => {
+    file.coverage = percentage(file.documented, file.exported);
+    file.issues.sort((a, b) => a.line - b.line);
+  });
+
+  const exported = files.reduce((sum, file) => sum + file.exported, 0);
+  const documented = files.reduce((sum, file) => sum + file.documented, 0);
+  return { exported, documented, coverage: percentage(documented, exported), files };
+}
+
+// Function to format a JSDoc report as plain text
+export function formatJSDocReport(report) {
+  let content = `JSDoc coverage: ${report.documented}/${report.exported} exported functions documented (${report.coverage}%)\n`;
+
+  report.files.forEach(file => {
+    content += `\n${file.path}: ${file.documented}/${file.exported} documented (${file.coverage}%)\n`;
+    file.issues.forEach(({ line, message }) => {
+      content += `  line ${line}: ${message}\n`;
+    });
+  });
+
+  const issueCount = report.files.reduce((sum, file) => sum + file.issues.length, 0);
+  content += `\n${issueCount} issue(s)\n`;
+  return content;
+}
@@ -0,0 +1,183 @@
+/**
+ * Complexity metrics of a function, computed from its AST, and the ranking of the worst functions
+ *
+ * - cyclomatic: 1 plus one for every branch: if, loop, case, catch, ?:, &&, || and ?? (as in ESLint's
+ *   complexity rule). Branches inside nested functions count towards those functions instead.
+ * - cognitive: one for every break in linear flow, plus the nesting level for if, loops, switch,
+ *   catch and ?:; else, else if, labelled jumps and each run of mixed && / || / ?? add one.
+ *   Like branches, breaks in flow inside nested functions count towards those functions instead.
+ * - maxNesting: deepest level of blocks nested in control structures or functions.
+ * - params: declared parameters.
+ * - returns: return statements, or 1 for an arrow function with an expression body.
+ */
+
+import { childNodes } from './parse.js';
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const LOGICAL_ASSIGNMENT_OPERATORS = new Set(['&&=', '||=', '??=']);
+
+// Function to compute the metrics of a function, method or arrow function node
+export function computeMetrics(fnNode) {
+  const metrics = {
+    cyclomatic: 1,
+    cognitive: 0,
+    maxNesting: 0,
+    params: fnNode.params.length,
+    returns: fnNode.body && fnNode.body.type !== 'BlockStatement' ? 1 : 0
+  };
+
+  // Function to count a branch for cyclomatic complexity, unless it belongs to a nested function
+  function addBranch(nested) {
+    if (!nested) {
+      metrics.cyclomatic++;
+    }
+  }
+
+  // Function to add to cognitive complexity, unless the code belongs to a nested function
+  function addCognitive(nested, amount) {
+    if (!nested) {
+      metrics.cognitive += amount;
+    }
+  }
+
+  // Function to visit a block that is nested one level deeper
+  function visitNested(node, nesting, nested, parent) {
+    metrics.maxNesting = Math.max(metrics.maxNesting, nesting);
+    visit(node, nesting, nested, parent);
+  }
+
+  // Function to visit an if statement; else-if chains stay at the nesting level of the first if
+  function visitIf(node, nesting, nested, isElseIf) {
+    addBranch(nested);
+    addCognitive(nested, isElseIf ? 1 : 1 + nesting);
+    visit(node.test, nesting, nested, node);
+    visitNested(node.consequent, nesting + 1, nested, node);
+
+    if (node.alternate && node.alternate.type === 'IfStatement') {
+      visitIf(node.alternate, nesting, nested, true);
+    } else if (node.alternate) {
+      addCognitive(nested, 1);
+      visitNested(node.alternate, nesting + 1, nested, node);
+    }
+  }
+
+  // Function to visit a node and its children at a nesting level
+  function visit(node, nesting, nested, parent) {
+    if (FUNCTION_TYPES.has(node.type)) {
+      childNodes(node).forEach(child => visitNested(child, nesting + 1, true, node));
+      return;
+    }
+
+    if (node.type === 'IfStatement') {
+      visitIf(node, nesting, nested, false);
+      return;
+    }
+
+    if (LOOP_TYPES.has(node.type)) {
+      addBranch(nested);
+      addCognitive(nested, 1 + nesting);
+      childNodes(node).forEach(child => {
+        if (child === node.body) {
+          visitNested(child, nesting + 1, nested, node);
+        } else {
+          visit(child, nesting, nested, node);
+        }
+      });
+      return;
+    }
+
+    if (node.type === 'SwitchStatement') {
+      addCognitive(nested, 1 + nesting);
+      visit(node.discriminant, nesting, nested, node);
+      node.cases.forEach(switchCase => {
+        if (switchCase.test) {
+          addBranch(nested);
+        }
+        visitNested(switchCase, nesting + 1, nested, node);
+      });
+      return;
+    }
+
+    if (node.type === 'CatchClause') {
+      addBranch(nested);
+      addCognitive(nested, 1 + nesting);
+      visitNested(node.body, nesting + 1, nested, node);
+      return;
+    }
+
+    if (node.type === 'ConditionalExpression') {
+      addBranch(nested);
+      addCognitive(nested, 1 + nesting);
+      visit(node.test, nesting, nested, node);
+      visitNested(node.consequent, nesting + 1, nested, node);
+      visitNested(node.alternate, nesting + 1, nested, node);
+      return;
+    }
+
+    if (node.type === 'LogicalExpression') {
+      addBranch(nested);
+      // a && b && c is one run; switching to || or ?? starts another
+      if (!(parent && parent.type === 'LogicalExpression' && parent.operator === node.operator)) {
+        addCognitive(nested, 1);
+      }
+    } else if (node.type === 'AssignmentExpression' && LOGICAL_ASSIGNMENT_OPERATORS.has(node.operator)) {
+      addBranch(nested);
+      addCognitive(nested, 1);
+    } else if ((node.type === 'BreakStatement' || node.type === 'ContinueStatement') && node.label) {
+      addCognitive(nested, 1);
+    } else if (node.type === 'ReturnStatement' && !nested) {
+      metrics.returns++;
+    }
+
+    childNodes(node).forEach(child => visit(child, nesting, nested, node));
+  }
+
+  // Declarations without a body, such as overloads and abstract methods, keep the defaults
+  if (fnNode.body) {
+    visit(fnNode.body, 0, false, fnNode);
+  }
+
+  return metrics;
+}
+
+// Function to list the functions and methods of analysed files that have metrics
+// Returns [{ path, name, line, lineCount, metrics, entry }]; methods are named Class.member
+export function listFunctions(files) {
+  const functions = [];
+
+  files.forEach(file => {
+    (file.signatures || []).forEach(entry => {
+      if (entry.kind === 'class') {
+        entry.members.forEach(member => {
+          if (member.metrics) {
+            functions.push({ path: file.path, name: `${entry.name || 'default'}.${member.name}`, line: member.startLine, lineCount: member.lineCount, metrics: member.metrics, entry: member });
+          }
+        });
+      } else if (entry.metrics) {
+        functions.push({ path: file.path, name: entry.name || 'default', line: entry.startLine, lineCount: entry.lineCount, metrics: entry.metrics, entry });
+      }
+    });
+  });
+
+  return functions;
+}
+
+// Function to rank the functions and methods of analysed files by complexity, worst first
+// Functions without any branches are left out
+export function rankHotspots(files, limit) {
+  return selectHotspots(listFunctions(files), limit);
+}
+
+// Function to rank functions listed as by listFunctions(), or hotspots ranked earlier, keeping the worst limit
+// Functions that rank the same keep their order, so ranking each file and then their hotspots gives rankHotspots()
+export function selectHotspots(functions, limit) {
+  return functions
+    .filter(({ metrics }) => metrics.cyclomatic > 1 || metrics.cognitive > 0)
+    .sort((a, b) =>
+      b.metrics.cognitive - a.metrics.cognitive ||
+      b.metrics.cyclomatic - a.metrics.cyclomatic ||
+      b.lineCount - a.lineCount)
+    .slice(0, limit)
+    .map(({ path, name, line, lineCount, metrics }) => ({ path, name, line, lineCount, metrics }));
+}
@@ -0,0 +1,220 @@
+/**
+ * Parsing of JavaScript and TypeScript sources, shared by the extraction in lib/extract.js
+ */
+
+import path from 'path';
+import { Parser } from 'acorn';
+import { simple as simpleWalk, base as walkBaseVisitors } from 'acorn-walk';
+import { tsPlugin } from '@sveltejs/acorn-typescript';
+
+// Parsers for each kind of source file; plain acorn is kept for JavaScript
+const TypeScriptParser = Parser.extend(tsPlugin());
+const TsxParser = Parser.extend(tsPlugin({ jsx: true }));
+const DeclarationParser = Parser.extend(tsPlugin({ dts: true }));
+
+// Extensions of files whose signatures are extracted
+export const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+
+// Function to parse a source file with the parser its extension needs
+// When comments is an array, the comments of the file are pushed onto it in source order
+function parseSource(fileContent, filePath, comments = null) {
+  const fileName = path.basename(filePath);
+  const ext = path.extname(fileName);
+  const onComment = comments ? { onComment: comments } : {};
+
+  if (ext === '.js' || ext === '.mjs' || ext === '.cjs') {
+    // Executable scripts, such as package.json bin entries, start with a #! line
+    const options = { ecmaVersion: 2022, locations: true, allowHashBang: true, ...onComment };
+    // CommonJS modules are scripts, which may return at the top level and use names reserved in modules
+    const scriptOptions = { ...options, sourceType: 'script', allowReturnOutsideFunction: true };
+
+    if (ext === '.cjs') {
+      return Parser.parse(fileContent, scriptOptions);
+    }
+    try {
+      return Parser.parse(fileContent, { ...options, sourceType: 'module' });
+    } catch (error) {
+      // A .js file may be either kind; it is only read as a script when it doesn't parse as a module
+      if (ext === '.mjs') {
+        throw error;
+      }
+      if (comments) {
+        comments.length = 0;
+      }
+      try {
+        return Parser.parse(fileContent, scriptOptions);
+      } catch (scriptError) {
+        // React projects often keep JSX in .js files
+        if (comments) {
+          comments.length = 0;
+        }
+        try {
+          return TsxParser.parse(fileContent, { ecmaVersion: 'latest', sourceType: 'module', locations: true, ...onComment });
+        } catch (jsxError) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  let parser = TypeScriptParser;
+  if (/\.d\.[mc]?ts$/.test(fileName)) {
+    parser = DeclarationParser;
+  } else if (ext === '.tsx' || ext === '.jsx') {
+    parser = TsxParser;
+  }
+  return parser.parse(fileContent, { ecmaVersion: 'latest', sourceType: 'module', locations: true, ...onComment });
+}
+
+// Most edits parseSourceTolerant makes to one statement before blanking it
+const MAX_RECOVERY_EDITS = 25;
+
+// Most statements parseSourceTolerant repairs before giving up on a file
+const MAX_RECOVERED_STATEMENTS = 50;
+
+// Function to parse a source file, recovering from syntax errors so the rest of it can still be read
+// Returns { ast, error }: error is the first syntax error, or null; ast is null if recovery failed.
+// The file is split into top-level statements at lines that start in the first column. The first
+// statement that doesn't parse is found by parsing ever longer parts of the file, since acorn often
+// reports an error lines after the mistake. The lines of its errors are reduced to their braces, then
+// blanked, and a brace is added if the file ends early; if that isn't enough the whole statement is
+// blanked. Replaced text becomes spaces, so the locations in the AST still match the file.
+export function parseSourceTolerant(fileContent, filePath, comments = null) {
+  let firstError;
+  try {
+    return { ast: parseSource(fileContent, filePath, comments), error: null };
+  } catch (error) {
+    firstError = error;
+  }
+  // Errors without a position come from the parser itself rather than the source
+  if (!firstError.loc) {
+    return { ast: null, error: firstError };
+  }
+
+  const lines = fileContent.split('\n');
+  let suffix = '';
+  const statementStarts = [0];
+  lines.forEach((line, index) => {
+    if (index > 0 && /^[^\s})\]]/.test(line)) {
+      statementStarts.push(index);
+    }
+  });
+  const statementEnd = statement => (statement + 1 < statementStarts.length ? statementStarts[statement + 1] : lines.length);
+
+  // Helper function to parse the lines before endLine, returning the syntax error or null
+  function findError(endLine) {
+    const content = endLine === lines.length ? `${lines.join('\n')}${suffix}` : lines.slice(0, endLine).join('\n');
+    try {
+      parseSource(content, filePath);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  // Helper function to edit the lines of a statement until the file parses up to its end
+  function repairStatement(statement) {
+    const start = statementStarts[statement];
+    const end = statementEnd(statement);
+    const reducedLines = new Set();
+
+    for (let edits = 0; edits < MAX_RECOVERY_EDITS; edits++) {
+      const error = findError(end);
+      if (!error) {
+        return;
+      }
+
+      const index = error.loc ? error.loc.line - 1 : -1;
+      const atEnd = index >= end - 1 && !/\S/.test(lines.slice(index, end).join(''));
+      if (atEnd && end === lines.length) {
+        // The file ends before the statement's blocks are closed
+        suffix += '\n}';
+      } else if (index >= start && index < end && !atEnd && !reducedLines.has(index)) {
+        // Braces are kept so blocks stay balanced; a lone { } is a valid block statement
+        reducedLines.add(index);
+        lines[index] = lines[index].replace(/[^{}]/g, ' ');
+      } else if (index >= start && index < end && /\S/.test(lines[index])) {
+        lines[index] = lines[index].replace(/\S/g, ' ');
+      } else {
+        break;
+      }
+    }
+
+    if (findError(end)) {
+      // Braces added for an unclosed statement go with it
+      if (end === lines.length) {
+        suffix = '';
+      }
+      for (let index = start; index < end; index++) {
+        lines[index] = lines[index].replace(/\S/g, ' ');
+      }
+    }
+  }
+
+  for (let repairs = 0; repairs < MAX_RECOVERED_STATEMENTS; repairs++) {
+    const error = findError(lines.length);
+    if (!error) {
+      if (comments) {
+        comments.length = 0;
+      }
+      return { ast: parseSource(`${lines.join('\n')}${suffix}`, filePath, comments), error: firstError };
+    }
+    if (!error.loc) {
+      break;
+    }
+
+    // Every part of the file that ends before the first broken statement parses
+    let low = 0;
+    let high = statementStarts.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (findError(statementEnd(middle))) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    repairStatement(low);
+  }
+  return { ast: null, error: firstError };
+}
+
+// Function to list the child nodes of any node, including TypeScript and JSX nodes
+export function childNodes(node) {
+  const children = [];
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc') {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(child => {
+        if (child && typeof child.type === 'string') {
+          children.push(child);
+        }
+      });
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  }
+  return children;
+}
+
+// acorn-walk only knows ESTree nodes, so TypeScript and JSX nodes are walked through their child nodes
+function walkChildNodes(node, state, callback) {
+  childNodes(node).forEach(child => callback(child, state));
+}
+
+const walkBase = new Proxy(walkBaseVisitors, {
+  get: (visitors, type) => visitors[type] || walkChildNodes
+});
+
+export function walk(node, visitors) {
+  simpleWalk(node, visitors, walkBase);
+}
+
+// Helper function to get the source text of a TypeScript type annotation
+export function typeAnnotationText(fileContent, annotation) {
+  if (!annotation) return '';
+  const typeNode = annotation.typeAnnotation || annotation;
+  return fileContent.substring(typeNode.start, typeNode.end).replace(/\s+/g, ' ').trim();
+}
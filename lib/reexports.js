@@ -0,0 +1,139 @@
+/**
+ * Expansion of re-exports, so barrel files show the names they export and where each one is defined
+ *
+ * `export { a as b } from './x'`, `export * as ns from './x'` and `import { a } from './x'` followed
+ * by `export { a }` re-export one name; `export * from './x'` re-exports every name of ./x except its
+ * default export. Each name is followed through further re-exports to the file that declares it.
+ * The search ends at modules that weren't analysed, such as packages and files skipped by --depth.
+ */
+
+// Function to list the names each analysed file re-exports, with the file and local name they are defined under
+// Returns a Map from file path to [{ name, source, line, definedIn: { path, name, line } | null }];
+// definedIn is { path, name: '*', line: null } for a namespace, and null when the definition wasn't found.
+// listDeclarations(file) returns the file's [{ name, startLine }], by default its signatures and types
+export function expandReExports(files, listDeclarations = file => [...file.signatures, ...file.types]) {
+  const byPath = new Map(files.map(file => [file.path, file]));
+
+  const resolveSource = (file, source) => {
+    const dependency = file.imports.find(candidate => candidate.source === source);
+    return dependency ? dependency.resolvedPath : null;
+  };
+
+  // Helper function to find the import or require a local binding comes from
+  // Returns { source, imported } or null when the binding is declared in the file
+  function findImport(file, local) {
+    // Specifiers of re-exports name the export rather than a local binding
+    const isReExport = (source, { imported, local: name }) =>
+      file.exports.some(entry => entry.source === source && entry.name === name && entry.imported === imported);
+
+    for (const { source, specifiers } of file.imports) {
+      const specifier = specifiers.find(candidate => candidate.local === local && !isReExport(source, candidate));
+      if (specifier) {
+        return { source, imported: specifier.imported };
+      }
+    }
+    return null;
+  }
+
+  // Helper function to follow a name imported from a module to its definition
+  function followImport(file, source, imported, visited) {
+    const target = resolveSource(file, source);
+    if (!target || !byPath.has(target)) {
+      return null;
+    }
+    return imported === '*' ? { path: target, name: '*', line: null } : findDefinition(target, imported, visited);
+  }
+
+  // Helper function to find where a name exported by a file is declared
+  function findDefinition(filePath, name, visited) {
+    const key = `${filePath}#${name}`;
+    const file = byPath.get(filePath);
+    if (!file || visited.has(key)) {
+      return null;
+    }
+    visited.add(key);
+
+    const entry = file.exports.find(candidate => candidate.name === name);
+    if (entry && entry.source) {
+      return followImport(file, entry.source, entry.imported, visited);
+    }
+    if (entry) {
+      const binding = entry.local && findImport(file, entry.local);
+      if (binding) {
+        return followImport(file, binding.source, binding.imported, visited);
+      }
+      // Point to the declaration rather than to an export list that names it
+      const localName = entry.local || name;
+      const declaration = listDeclarations(file).find(candidate => candidate.name === localName);
+      return { path: filePath, name: localName, line: declaration ? declaration.startLine : entry.line };
+    }
+
+    // Names not exported explicitly may come through export *, which never passes on a default export
+    if (name === 'default') {
+      return null;
+    }
+    for (const star of file.exports.filter(candidate => candidate.name === '*')) {
+      const found = followImport(file, star.source, name, visited);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  // Helper function to list every name a file exports, expanding its own export * declarations
+  function listExportedNames(filePath, visited) {
+    const file = byPath.get(filePath);
+    if (!file || visited.has(filePath)) {
+      return [];
+    }
+    visited.add(filePath);
+
+    const names = file.exports.filter(({ name }) => name !== '*').map(({ name }) => name);
+    file.exports.filter(({ name }) => name === '*').forEach(star => {
+      const target = resolveSource(file, star.source);
+      if (target) {
+        names.push(...listExportedNames(target, visited).filter(name => name !== 'default'));
+      }
+    });
+    return [...new Set(names)];
+  }
+
+  const reExports = new Map();
+  files.forEach(file => {
+    const entries = [];
+    // Names exported explicitly take precedence over the same names reached through export *
+    const listedNames = new Set(file.exports.map(({ name }) => name));
+
+    file.exports.forEach(({ name, local, line, source }) => {
+      if (name === '*') {
+        const target = resolveSource(file, source);
+        if (!target || !byPath.has(target)) {
+          entries.push({ name, source, line, definedIn: null });
+          return;
+        }
+        listExportedNames(target, new Set()).filter(starName => starName !== 'default' && !listedNames.has(starName)).forEach(starName => {
+          listedNames.add(starName);
+          entries.push({ name: starName, source, line, definedIn: findDefinition(target, starName, new Set()) });
+        });
+        return;
+      }
+
+      const binding = !source && local ? findImport(file, local) : null;
+      if (source || binding) {
+        entries.push({ name, source: source || binding.source, line, definedIn: findDefinition(file.path, name, new Set()) });
+      }
+    });
+
+    if (entries.length > 0) {
+      reExports.set(file.path, entries);
+    }
+  });
+
+  return reExports;
+}
+
+// Function to describe where a re-exported name is defined, as found by expandReExports
+export function formatDefinition({ path: filePath, name, line }) {
+  return name === '*' ? `${filePath} (namespace)` : `${filePath}#${name} (line ${line})`;
+}
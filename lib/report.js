@@ -0,0 +1,497 @@
+/**
+ * Rendering of an analysis model (see lib/analyze.js) as Markdown or as the versioned JSON report
+ */
+
+import { isRelativeSpecifier } from './resolve.js';
+import { extractDisplayName } from './extract.js';
+import { formatCycleChain } from './cycles.js';
+
+// Version of the JSON document written by --format json (see schema/code-structure.v1.schema.json)
+export const JSON_SCHEMA_VERSION = 1;
+
+// Function to format the dependency graph as a Markdown section
+function formatDependencyGraph(dependencyGraph) {
+  let section = '# Dependency Graph\n\n';
+
+  if (dependencyGraph.files.length === 0) {
+    return `${section}(No modules found)\n\n`;
+  }
+
+  const formatList = items => items.map(item => `\`${item}\``).join(', ');
+
+  if (dependencyGraph.external.length > 0) {
+    section += `External packages: ${formatList(dependencyGraph.external.map(pkg => pkg.name))}\n`;
+  }
+  if (dependencyGraph.notImported.length > 0) {
+    section += `Not imported by any file: ${formatList(dependencyGraph.notImported)}\n`;
+  }
+  section += '\n';
+
+  dependencyGraph.files.forEach(node => {
+    section += `### ${node.relativePath}\n`;
+    if (node.imports.length > 0) {
+      section += `- Imports: ${formatList(node.imports)}\n`;
+    }
+    if (node.external.length > 0) {
+      section += `- External: ${formatList(node.external)}\n`;
+    }
+    if (node.unresolved.length > 0) {
+      section += `- Unresolved: ${formatList(node.unresolved)}\n`;
+    }
+    section += `- Imported by: ${node.importedBy.length > 0 ? formatList(node.importedBy) : '(none)'}\n\n`;
+  });
+
+  return section;
+}
+
+// Function to format the call graph as a Markdown section
+function formatCallGraph(callGraph) {
+  let section = '# Call Graph\n\n';
+
+  if (callGraph.length === 0) {
+    return `${section}(No calls found)\n`;
+  }
+
+  let currentFile = null;
+  callGraph.forEach(node => {
+    if (node.relativePath !== currentFile) {
+      if (currentFile !== null) {
+        section += '\n';
+      }
+      currentFile = node.relativePath;
+      section += `### ${currentFile}\n`;
+    }
+
+    section += `- \`${node.functionName}\`\n`;
+    if (node.calls.length > 0) {
+      section += `  - Calls: ${node.calls.map(call => `\`${call}\``).join(', ')}\n`;
+    }
+    if (node.calledBy.length > 0) {
+      section += `  - Called by: ${node.calledBy.map(caller => `\`${caller}\``).join(', ')}\n`;
+    }
+  });
+
+  return section;
+}
+
+// Function to get the display name of a class member, including its modifiers
+export function formatMemberName(member) {
+  const modifiers = [];
+  if (member.static) modifiers.push('static');
+  if (member.isAsync) modifiers.push('async');
+  if (member.kind === 'getter') modifiers.push('get');
+  if (member.kind === 'setter') modifiers.push('set');
+  return [...modifiers, member.name].join(' ');
+}
+
+// Function to format the parameters of an entry with their types, as in `a: string, b?: number, ...rest`
+// Prefers the names of destructured options documented in JSDoc, as in `{root, depth}`
+export function formatParams({ jsDocParams, params }) {
+  return jsDocParams || (params || []).map(param =>
+    `${param.rest ? '...' : ''}${param.name}${param.optional ? '?' : ''}${param.type ? `: ${param.type}` : ''}`).join(', ');
+}
+
+// Function to format the type shown after an entry: the return type of a function, or the type of a field
+export function formatTypeSuffix(entry) {
+  const type = entry.kind === 'field' ? entry.type : entry.returnType;
+  return type ? `: ${type}` : '';
+}
+
+// Function to format a signature entry as a Markdown list item
+function formatMethodLine(entry, displayName, withParams = true) {
+  const { description, lineCount, metrics } = entry;
+
+  // Always use single line format for parameters
+  let line = `\`${displayName}${withParams ? `(${formatParams(entry)})` : ''}${formatTypeSuffix(entry)}\``;
+
+  // Add description and line count
+  if (description) {
+    line += ` ${description}`;
+  } else if (lineCount) {
+    line += ` No description`;
+  }
+
+  // Line count, and cyclomatic complexity for functions with branches
+  const details = [];
+  if (lineCount) {
+    details.push(`${lineCount} lines`);
+  }
+  if (metrics && metrics.cyclomatic > 1) {
+    details.push(`complexity ${metrics.cyclomatic}`);
+  }
+  if (details.length > 0) {
+    line += ` [${details.join(', ')}]`;
+  }
+
+  return line;
+}
+
+// Function to format the JSDoc tags of an entry as nested Markdown list items
+function formatJSDocTags(jsDoc, indent) {
+  if (!jsDoc) {
+    return '';
+  }
+
+  let lines = '';
+  if (jsDoc.deprecated !== null) {
+    lines += `${indent}- **Deprecated**${jsDoc.deprecated ? `: ${jsDoc.deprecated}` : ''}\n`;
+  }
+  if (jsDoc.since) {
+    lines += `${indent}- Since: ${jsDoc.since}\n`;
+  }
+  jsDoc.throws.forEach(({ type, description }) => {
+    lines += `${indent}- Throws: ${[type ? `\`${type}\`` : '', description].filter(part => part).join(' ')}\n`;
+  });
+  jsDoc.see.forEach(reference => {
+    lines += `${indent}- See: ${reference}\n`;
+  });
+  jsDoc.examples.forEach(example => {
+    const code = example.split('\n').map(line => (line ? `${indent}  ${line}` : '')).join('\n');
+    lines += `${indent}- Example:\n${indent}  \`\`\`js\n${code}\n${indent}  \`\`\`\n`;
+  });
+  return lines;
+}
+
+// Function to convert the JSDoc tags of an entry to their JSON schema representation
+function toJsonTags(jsDoc) {
+  if (!jsDoc) {
+    return null;
+  }
+  const { deprecated, since, throws, examples, see } = jsDoc;
+  return { deprecated, since, throws, examples, see };
+}
+
+// Function to format the most complex functions as a Markdown section
+function formatHotspots(hotspots) {
+  let section = '# Hotspots\n\n';
+
+  if (hotspots.length === 0) {
+    return `${section}(No functions with branches found)\n\n`;
+  }
+
+  section += 'Functions ranked by cognitive complexity, then cyclomatic complexity and length.\n\n';
+  hotspots.forEach(({ path: filePath, name, line, lineCount, metrics }, index) => {
+    section += `${index + 1}. \`${filePath}#${name}\` (line ${line}): cognitive ${metrics.cognitive}, ` +
+      `cyclomatic ${metrics.cyclomatic}, nesting ${metrics.maxNesting}, ${metrics.params} params, ` +
+      `${metrics.returns} returns [${lineCount} lines]\n`;
+  });
+
+  return `${section}\n`;
+}
+
+// Function to format unimported files, unused exports and unused functions as a Markdown section
+function formatDeadCode(deadCode) {
+  let section = '# Unused Code\n\n';
+
+  if (!deadCode) {
+    return `${section}(Only available when the whole tree is analysed, without --depth or --changed-since)\n\n`;
+  }
+
+  const { entryPoints, unimportedFiles, unusedExports, unusedFunctions } = deadCode;
+  if (entryPoints.length > 0) {
+    section += `Entry points: ${entryPoints.map(entryPoint => `\`${entryPoint}\``).join(', ')}\n\n`;
+  }
+  if (unimportedFiles.length === 0 && unusedExports.length === 0 && unusedFunctions.length === 0) {
+    return `${section}(No unused code found)\n\n`;
+  }
+
+  if (unimportedFiles.length > 0) {
+    section += 'Files not imported by any other file:\n';
+    unimportedFiles.forEach(filePath => {
+      section += `- \`${filePath}\`\n`;
+    });
+    section += '\n';
+  }
+  if (unusedExports.length > 0) {
+    section += 'Exports not imported by any other file:\n';
+    unusedExports.forEach(({ path: filePath, name, line }) => {
+      section += `- \`${filePath}#${name}\` (line ${line})\n`;
+    });
+    section += '\n';
+  }
+  if (unusedFunctions.length > 0) {
+    section += 'Functions not used in their own file:\n';
+    unusedFunctions.forEach(({ path: filePath, name, line }) => {
+      section += `- \`${filePath}#${name}\` (line ${line})\n`;
+    });
+    section += '\n';
+  }
+
+  return section;
+}
+
+// Function to format the import cycles as a Markdown section
+function formatCycles(cycles) {
+  let section = '# Circular Dependencies\n\n';
+
+  if (cycles.length === 0) {
+    return `${section}(No import cycles found)\n\n`;
+  }
+
+  cycles.forEach((cycle, index) => {
+    section += `${index + 1}. ${cycle.files.map(filePath => `\`${filePath}\``).join(' → ')}\n`;
+    cycle.imports.forEach(({ from, source, line }) => {
+      section += `   - \`${from}\` line ${line}: imports \`${source}\`\n`;
+    });
+  });
+
+  return `${section}\n`;
+}
+
+// Function to format the files that failed to parse as a Markdown section
+function formatDiagnostics(files) {
+  let section = '# Diagnostics\n\n';
+
+  const failedFiles = files.filter(file => file.diagnostics && file.diagnostics.length > 0);
+  if (failedFiles.length === 0) {
+    return `${section}(No parse errors)\n\n`;
+  }
+
+  failedFiles.forEach(file => {
+    file.diagnostics.forEach(diagnostic => {
+      const position = diagnostic.line === null ? '' : ` line ${diagnostic.line}, column ${diagnostic.column}`;
+      const outcome = diagnostic.recovered ? ' (recovered; lines with errors were skipped)' : '';
+      section += `- \`${file.path}\`${position}: ${diagnostic.message}${outcome}\n`;
+    });
+  });
+
+  return `${section}\n`;
+}
+
+// Function to convert a signature entry to its JSON schema representation
+function toJsonSignature(entry) {
+  const classFields = entry.kind === 'class'
+    ? { extends: entry.extends, abstract: entry.abstract, members: entry.members.map(toJsonSignature) }
+    : {};
+  const memberFields = entry.static !== undefined
+    ? { static: entry.static, private: entry.private, ...(entry.kind === 'field' ? { type: entry.type } : {}) }
+    : {};
+  const valueFields = entry.kind === 'value' ? { type: entry.type || null } : {};
+
+  return {
+    name: entry.name || (entry.isDefault ? 'default' : ''),
+    kind: entry.kind,
+    async: entry.isAsync,
+    exported: entry.exported,
+    default: entry.isDefault,
+    params: entry.params,
+    returnType: entry.returnType,
+    description: entry.description || null,
+    loc: { start: entry.startLine, end: entry.endLine },
+    lineCount: entry.lineCount,
+    calls: entry.methodCalls || [],
+    metrics: entry.metrics || null,
+    tags: toJsonTags(entry.jsDoc),
+    ...classFields,
+    ...memberFields,
+    ...valueFields
+  };
+}
+
+// Function to convert a file of the model to its JSON schema representation
+function toJsonFile(record) {
+  return {
+    path: record.path,
+    lineCount: record.lineCount,
+    language: record.language,
+    ...(record.sizeBytes !== undefined ? { sizeBytes: record.sizeBytes } : {}),
+    parseError: record.parseError,
+    diagnostics: record.diagnostics || [],
+    imports: record.imports.map(({ source, kind, resolvedPath, line, typeOnly, specifiers }) => ({
+      source,
+      kind,
+      resolvedPath,
+      external: !resolvedPath && !isRelativeSpecifier(source),
+      line,
+      typeOnly,
+      specifiers
+    })),
+    exports: record.exports.map(({ name, local, line, source, imported }) => ({
+      name,
+      local,
+      line,
+      source: source || null,
+      imported: imported || null
+    })),
+    reExports: record.reExports,
+    types: record.types.map(({ name, kind, definition, description, exported, startLine, endLine }) => ({
+      name,
+      kind,
+      definition,
+      description: description || null,
+      exported,
+      loc: { start: startLine, end: endLine }
+    })),
+    signatures: record.signatures.filter(sig => sig.kind).map(toJsonSignature)
+  };
+}
+
+// Function to build the versioned JSON document written by --format json
+export function buildJsonReport({ root, changedSince, files, dependencyGraph, callGraph, hotspots, deadCode, cycles, readFile = file => file }) {
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    generator: 'code-structure',
+    generatedAt: new Date().toISOString(),
+    root,
+    changedSince,
+    files: files.map(file => toJsonFile(readFile(file))),
+    dependencyGraph: {
+      files: dependencyGraph.files.map(({ relativePath, imports, importedBy, external, unresolved }) => ({
+        path: relativePath,
+        imports,
+        importedBy,
+        external,
+        unresolved
+      })),
+      external: dependencyGraph.external,
+      notImported: dependencyGraph.notImported
+    },
+    callGraph: callGraph.map(({ relativePath, functionName, calls, calledBy }) => ({
+      path: relativePath,
+      name: functionName,
+      calls,
+      calledBy
+    })),
+    hotspots,
+    deadCode,
+    cycles
+  };
+}
+
+// Function to render a model as the JSON document, reading and serialising one file at a time
+// The output is the same as JSON.stringify(buildJsonReport(model), null, 2) with a trailing newline
+export function* generateJsonReport(model) {
+  const { readFile = file => file } = model;
+
+  // The document without its files gives the keys in order; like JSON.stringify, keys without a value are left out
+  const entries = Object.entries(buildJsonReport({ ...model, files: [] })).filter(([, value]) => value !== undefined);
+
+  yield '{';
+  for (let i = 0; i < entries.length; i++) {
+    const [key, value] = entries[i];
+    const separator = i > 0 ? ',' : '';
+    if (key !== 'files') {
+      yield `${separator}\n  ${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).replace(/\n/g, '\n  ')}`;
+      continue;
+    }
+
+    yield `${separator}\n  "files": [`;
+    for (let j = 0; j < model.files.length; j++) {
+      const file = JSON.stringify(toJsonFile(readFile(model.files[j])), null, 2).replace(/\n/g, '\n    ');
+      yield `${j > 0 ? ',' : ''}\n    ${file}`;
+    }
+    yield model.files.length > 0 ? '\n  ]' : ']';
+  }
+  yield '\n}\n';
+}
+
+// Function to format one file of the Markdown report
+function formatFileSection(file) {
+  let content = `## ${file.path} (${file.lineCount} lines)\n`;
+
+  if (file.language === 'javascript' || file.language === 'typescript') {
+    // Add imports if there are any
+    if (file.importStatements.length > 0) {
+      content += 'Imports:\n';
+      file.importStatements.forEach(importStatement => {
+        content += `- ${importStatement}\n`;
+      });
+      content += '\n';
+    }
+
+    // Add the names passed on from other modules, with where they are defined
+    if (file.reExports.length > 0) {
+      content += 'Re-exports:\n';
+      file.reExports.forEach(({ name, source, definedIn }) => {
+        let definition = '';
+        if (definedIn) {
+          definition = definedIn.name === '*'
+            ? `: namespace of \`${definedIn.path}\``
+            : `: \`${definedIn.path}#${definedIn.name}\` (line ${definedIn.line})`;
+        }
+        content += `- \`${name}\` from \`${source}\`${definition}\n`;
+      });
+      content += '\n';
+    }
+
+    // Add TypeScript interfaces, type aliases and enums
+    if (file.types.length > 0) {
+      content += 'Types:\n';
+      file.types.forEach(({ definition, description }) => {
+        content += `- \`${definition}\`${description ? ` ${description}` : ''}\n`;
+      });
+      content += '\n';
+    }
+
+    // Add method signatures
+    if (file.signatures.length > 0) {
+      content += 'Methods:\n';
+      file.signatures.forEach(entry => {
+        if (entry.kind === 'class') {
+          content += `- ${formatMethodLine(entry, entry.signature, false)}\n`;
+          content += formatJSDocTags(entry.jsDoc, '  ');
+
+          // Nest methods, accessors and fields under their class
+          entry.members.forEach(member => {
+            const isField = member.kind === 'field';
+            content += `  - ${formatMethodLine(member, formatMemberName(member), !isField)}\n`;
+            content += formatJSDocTags(member.jsDoc, '    ');
+
+            if (member.methodCalls.length > 0) {
+              content += `    - Calls: ${member.methodCalls.map(call => `\`${call}\``).join(', ')}\n`;
+            }
+          });
+          return;
+        }
+
+        // Exported constants and other values are shown as declared
+        if (entry.kind === 'value') {
+          content += `- ${formatMethodLine(entry, entry.signature, false)}\n`;
+          return;
+        }
+
+        // Output the line
+        content += `- ${formatMethodLine(entry, extractDisplayName(entry.signature))}\n`;
+        content += formatJSDocTags(entry.jsDoc, '  ');
+
+        // List the local and imported functions this method calls
+        if (entry.methodCalls && entry.methodCalls.length > 0) {
+          content += `  - Calls: ${entry.methodCalls.map(call => `\`${call}\``).join(', ')}\n`;
+        }
+      });
+    } else {
+      content += '(No methods found)\n';
+    }
+  } else if (file.language === 'json') {
+    // For JSON files, show file size in addition to line count
+    content += `(JSON file, ${(file.sizeBytes / 1024).toFixed(1)} KB)\n`;
+  } else if (file.readError) {
+    content += `(Error reading JSON: ${file.readError})\n`;
+  }
+
+  return `${content}\n`;
+}
+
+// Function to render a model as the Markdown report, one section at a time
+// Each file is read and yielded separately, so the report can be written out without building it in one string
+export function* generateMarkdown({ changedSince, files, dependencyGraph, callGraph, hotspots, deadCode, cycles, readFile = file => file }) {
+  yield `# Files Sorted by Line Count\nGenerated: ${new Date().toISOString()}\n${changedSince ? `Changed since: ${changedSince}\n` : ''}\n`;
+
+  for (const file of files) {
+    yield formatFileSection(readFile(file));
+  }
+
+  // Add the files that failed to parse, the most complex functions, unused code, import cycles, the module
+  // dependency graph and the project-wide call graph
+  yield formatDiagnostics(files);
+  yield formatHotspots(hotspots);
+  yield formatDeadCode(deadCode);
+  yield formatCycles(cycles);
+  yield formatDependencyGraph(dependencyGraph);
+  yield formatCallGraph(callGraph);
+}
+
+// Function to render a model as the Markdown report
+export function formatMarkdown(model) {
+  return Array.from(generateMarkdown(model)).join('');
+}
@@ -0,0 +1,217 @@
+/**
+ * Resolution of import specifiers to scanned files, following Node's rules for relative paths,
+ * package.json main/exports/imports and workspace packages
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Extensions tried, in order, when an import specifier omits one
+const RESOLVE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.json', '.ts', '.tsx', '.d.ts', '.jsx', '.mts', '.cts'];
+
+// TypeScript sources are imported by the name of the JavaScript file they compile to
+const COMPILED_EXTENSIONS = {
+  '.js': ['.ts', '.tsx', '.d.ts'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts', '.d.mts'],
+  '.cjs': ['.cts', '.d.cts']
+};
+
+// Conditions honoured when resolving package.json "exports" and "imports"
+const RESOLVE_CONDITIONS = ['import', 'require', 'node', 'module', 'default'];
+
+// Function to pick the target of a package.json "exports"/"imports" entry
+function resolvePackageTarget(target) {
+  if (typeof target === 'string') {
+    return target;
+  }
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      const resolved = resolvePackageTarget(item);
+      if (resolved) {
+        return resolved;
+      }
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    // Conditions apply in the order the package lists them
+    for (const [condition, value] of Object.entries(target)) {
+      if (RESOLVE_CONDITIONS.includes(condition)) {
+        const resolved = resolvePackageTarget(value);
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Function to match a subpath against a package.json "exports"/"imports" map, including "*" patterns
+function matchPackageMap(packageMap, subpath) {
+  if (Object.prototype.hasOwnProperty.call(packageMap, subpath)) {
+    return resolvePackageTarget(packageMap[subpath]);
+  }
+
+  for (const [key, target] of Object.entries(packageMap)) {
+    const starIndex = key.indexOf('*');
+    if (starIndex === -1) {
+      continue;
+    }
+    const keyPrefix = key.slice(0, starIndex);
+    const keySuffix = key.slice(starIndex + 1);
+    if (subpath.startsWith(keyPrefix) && subpath.endsWith(keySuffix) && subpath.length >= key.length - 1) {
+      const match = subpath.slice(keyPrefix.length, subpath.length - keySuffix.length);
+      const resolved = resolvePackageTarget(target);
+      return resolved ? resolved.split('*').join(match) : null;
+    }
+  }
+
+  return null;
+}
+
+// Function to create a resolver that maps import specifiers to files in the scanned tree
+export function createImportResolver(rootDirPath, allFiles) {
+  const filesByPath = new Map(allFiles.map(file => [file.filePath, file.relativePath]));
+  const packageJsonCache = new Map();
+
+  function readPackageJson(dirPath) {
+    if (!packageJsonCache.has(dirPath)) {
+      let packageJson = null;
+      try {
+        const packageJsonPath = path.join(dirPath, 'package.json');
+        if (fs.existsSync(packageJsonPath)) {
+          packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        }
+      } catch (error) {
+        // Treat an unreadable package.json as missing
+      }
+      packageJsonCache.set(dirPath, packageJson);
+    }
+    return packageJsonCache.get(dirPath);
+  }
+
+  function isInsideRoot(dirPath) {
+    return dirPath === rootDirPath || dirPath.startsWith(`${rootDirPath}${path.sep}`);
+  }
+
+  // Find the packages in the scanned tree so bare specifiers can resolve to them
+  const packagesByName = new Map();
+  const visitedDirs = new Set();
+  allFiles.forEach(({ filePath }) => {
+    let dirPath = path.dirname(filePath);
+    while (isInsideRoot(dirPath) && !visitedDirs.has(dirPath)) {
+      visitedDirs.add(dirPath);
+      const packageJson = readPackageJson(dirPath);
+      if (packageJson && packageJson.name && !packagesByName.has(packageJson.name)) {
+        packagesByName.set(packageJson.name, dirPath);
+      }
+      dirPath = path.dirname(dirPath);
+    }
+  });
+
+  function resolveFile(candidate) {
+    if (filesByPath.has(candidate)) {
+      return candidate;
+    }
+    for (const ext of RESOLVE_EXTENSIONS) {
+      if (filesByPath.has(`${candidate}${ext}`)) {
+        return `${candidate}${ext}`;
+      }
+    }
+    const compiledExt = path.extname(candidate);
+    for (const sourceExt of COMPILED_EXTENSIONS[compiledExt] || []) {
+      const sourcePath = `${candidate.slice(0, -compiledExt.length)}${sourceExt}`;
+      if (filesByPath.has(sourcePath)) {
+        return sourcePath;
+      }
+    }
+    return null;
+  }
+
+  function resolveDirectory(dirPath) {
+    const packageJson = readPackageJson(dirPath);
+    if (packageJson && typeof packageJson.main === 'string') {
+      const mainPath = path.join(dirPath, packageJson.main);
+      const resolved = resolveFile(mainPath) || resolveFile(path.join(mainPath, 'index'));
+      if (resolved) {
+        return resolved;
+      }
+    }
+    return resolveFile(path.join(dirPath, 'index'));
+  }
+
+  function resolvePath(candidate) {
+    return resolveFile(candidate) || resolveDirectory(candidate);
+  }
+
+  function resolvePackage(packageDir, subpath) {
+    const packageJson = readPackageJson(packageDir);
+    if (packageJson && packageJson.exports !== undefined && packageJson.exports !== null) {
+      // A string, array or condition object is shorthand for the "." export
+      const exportsField = packageJson.exports;
+      const isSubpathMap = typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+        Object.keys(exportsField).some(key => key.startsWith('.'));
+      const target = matchPackageMap(isSubpathMap ? exportsField : { '.': exportsField }, subpath);
+      return target ? resolveFile(path.join(packageDir, target)) : null;
+    }
+    return subpath === '.' ? resolveDirectory(packageDir) : resolvePath(path.join(packageDir, subpath));
+  }
+
+  // Resolve "#internal" specifiers through the nearest package.json "imports" field
+  function resolveSubpathImport(specifier, fromFilePath) {
+    let dirPath = path.dirname(fromFilePath);
+    while (isInsideRoot(dirPath)) {
+      const packageJson = readPackageJson(dirPath);
+      if (packageJson) {
+        const target = packageJson.imports ? matchPackageMap(packageJson.imports, specifier) : null;
+        if (!target) {
+          return null;
+        }
+        return target.startsWith('.') ? resolveFile(path.join(dirPath, target)) : resolveBare(target);
+      }
+      if (dirPath === rootDirPath) {
+        break;
+      }
+      dirPath = path.dirname(dirPath);
+    }
+    return null;
+  }
+
+  function resolveBare(specifier) {
+    const segments = specifier.split('/');
+    const nameLength = specifier.startsWith('@') ? 2 : 1;
+    const packageName = segments.slice(0, nameLength).join('/');
+    const packageDir = packagesByName.get(packageName);
+    if (!packageDir) {
+      return null;
+    }
+    const rest = segments.slice(nameLength).join('/');
+    return resolvePackage(packageDir, rest ? `./${rest}` : '.');
+  }
+
+  return function resolveImport(specifier, fromFilePath) {
+    if (typeof specifier !== 'string' || specifier.startsWith('node:')) {
+      return null;
+    }
+
+    let resolved;
+    if (specifier.startsWith('.')) {
+      resolved = resolvePath(path.resolve(path.dirname(fromFilePath), specifier));
+    } else if (path.isAbsolute(specifier)) {
+      resolved = resolvePath(specifier);
+    } else if (specifier.startsWith('#')) {
+      resolved = resolveSubpathImport(specifier, fromFilePath);
+    } else {
+      resolved = resolveBare(specifier);
+    }
+
+    return resolved ? filesByPath.get(resolved) : null;
+  };
+}
+
+// Function to check whether a specifier points into the project rather than at a package
+export function isRelativeSpecifier(specifier) {
+  return specifier.startsWith('.') || specifier.startsWith('/') || specifier.startsWith('#');
+}
@@ -0,0 +1,94 @@
+/**
+ * Directory scanning for analyze() (lib/analyze.js)
+ *
+ * Dot-prefixed names are always skipped. Other files and directories are filtered by the
+ * configured patterns (lib/glob.js) and, when enabled, by .gitignore rules (lib/gitignore.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Function to list the files and directories under rootDir that the configuration selects
+// Returns { files: [{ filePath, relativePath, lineCount }], directories: [relativePath] } in scan order
+export function scanDirectory(rootDir, { maxDepth = Infinity, pathFilter, gitignore, skipPaths = [], lineCounts = null }) {
+  const files = [];
+  const directories = [];
+
+  // Function to scan one directory and recurse into its subdirectories
+  function scan(dirPath, level, relativePath) {
+    // Check if we've reached the maximum depth
+    if (level > maxDepth) {
+      return;
+    }
+
+    const items = fs.readdirSync(dirPath);
+
+    // Get all files first
+    const fileNames = items
+      .filter(item => {
+        const itemPath = path.join(dirPath, item);
+        return !fs.statSync(itemPath).isDirectory() &&
+               !item.startsWith('.') &&
+               !skipPaths.includes(itemPath) &&
+               pathFilter.includesFile(path.join(relativePath, item)) &&
+               !gitignore.ignores(itemPath);
+      });
+
+    // Add files to collection; line counts of unchanged files can be reused between scans
+    for (const file of fileNames) {
+      const filePath = path.join(dirPath, file);
+      let lineCount = 0;
+      if (lineCounts && lineCounts.has(filePath)) {
+        lineCount = lineCounts.get(filePath);
+      } else {
+        try {
+          const fileContent = fs.readFileSync(filePath, 'utf8');
+          lineCount = fileContent.split('\n').length;
+          if (lineCounts) {
+            lineCounts.set(filePath, lineCount);
+          }
+        } catch (error) {
+          console.error(`Error counting lines in ${filePath}: ${error.message}`);
+        }
+      }
+      files.push({ filePath, relativePath: path.join(relativePath, file), lineCount });
+    }
+
+    // Then process directories
+    const dirNames = items
+      .filter(item => {
+        const itemPath = path.join(dirPath, item);
+        return fs.statSync(itemPath).isDirectory() &&
+               !item.startsWith('.') &&
+               !pathFilter.excludesDirectory(path.join(relativePath, item)) &&
+               !gitignore.ignores(itemPath, true);
+      })
+      .sort();
+
+    for (const dir of dirNames) {
+      const nextRelativePath = path.join(relativePath, dir);
+      directories.push(nextRelativePath);
+      scan(path.join(dirPath, dir), level + 1, nextRelativePath);
+    }
+  }
+
+  scan(rootDir, 0, '');
+  return { files, directories };
+}
+
+// Function to group the files of an analysis model under their directories
+// Returns a Map from directory path ('' for the root) to { dirs, files }, in the order they are given
+export function groupByDirectory(directories, files) {
+  const entriesByDir = new Map([['', { dirs: [], files: [] }]]);
+  directories.forEach(dir => {
+    entriesByDir.set(dir, { dirs: [], files: [] });
+  });
+  directories.forEach(dir => {
+    entriesByDir.get(path.dirname(dir) === '.' ? '' : path.dirname(dir)).dirs.push(dir);
+  });
+  files.forEach(file => {
+    const dir = path.dirname(file.path) === '.' ? '' : path.dirname(file.path);
+    entriesByDir.get(dir).files.push(file);
+  });
+  return entriesByDir;
+}
@@ -0,0 +1,44 @@
+/**
+ * Temporary on-disk store of per-file analysis details, for analyze() with spillDetails (lib/analyze.js)
+ *
+ * Values are appended as JSON to one file in the system's temporary directory, and each write returns
+ * where its value is, so the value can be read back on its own. close() removes the file.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Function to create a spill store; returns { write(value), read(ref), close() }
+export function createSpillStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-structure-'));
+  const fd = fs.openSync(path.join(dir, 'details.json'), 'w+');
+  let size = 0;
+  let closed = false;
+
+  return {
+    // Append a value; returns { offset, length } to read it back with
+    write(value) {
+      const buffer = Buffer.from(JSON.stringify(value), 'utf8');
+      fs.writeSync(fd, buffer, 0, buffer.length, size);
+      const ref = { offset: size, length: buffer.length };
+      size += buffer.length;
+      return ref;
+    },
+
+    read({ offset, length }) {
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, offset);
+      return JSON.parse(buffer.toString('utf8'));
+    },
+
+    close() {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      fs.closeSync(fd);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
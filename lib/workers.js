@@ -0,0 +1,98 @@
+/**
+ * Pool of worker threads that extract signatures from source files, for analyzeInParallel() (lib/analyze.js)
+ *
+ * Every worker runs lib/extract-worker.js and builds its own import resolver from the scanned file
+ * list, since functions can't be sent between threads. A worker is given one file at a time.
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+// Number of worker threads used when --jobs isn't given; os.availableParallelism() needs Node 18.14
+export const DEFAULT_JOBS = typeof os.availableParallelism === 'function' ? os.availableParallelism() : Math.max(1, os.cpus().length);
+
+const WORKER_URL = new URL('./extract-worker.js', import.meta.url);
+
+// Function to start a pool of size workers; workerData is { root, files, includeJsDoc }
+// Returns { run(filePath, content), close() }; run resolves to the file's extraction result, and reads
+// the file in the worker when content is null
+export function createWorkerPool(size, workerData) {
+  const idleWorkers = [];
+  const waitingTasks = [];
+  const workers = [];
+  let failure = null;
+
+  // Helper function to give a task to a worker, settling the task when the worker answers or fails
+  function assign(worker, task) {
+    const onMessage = ({ result, error }) => {
+      settle();
+      if (error) {
+        task.reject(new Error(`Unable to analyse ${task.filePath}: ${error}`));
+      } else {
+        task.resolve(result);
+      }
+      release(worker);
+    };
+    const onError = error => {
+      settle();
+      task.reject(new Error(`Worker failed on ${task.filePath}: ${error.message}`));
+    };
+    const onExit = code => {
+      settle();
+      task.reject(new Error(`Worker stopped with exit code ${code} on ${task.filePath}`));
+    };
+    const settle = () => {
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      worker.off('exit', onExit);
+    };
+
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', onExit);
+    worker.postMessage({ filePath: task.filePath, content: task.content });
+  }
+
+  // Helper function to hand a worker the next waiting task, or mark it idle
+  function release(worker) {
+    if (waitingTasks.length > 0) {
+      assign(worker, waitingTasks.shift());
+    } else {
+      idleWorkers.push(worker);
+    }
+  }
+
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(WORKER_URL, { workerData });
+    workers.push(worker);
+    idleWorkers.push(worker);
+
+    // A worker can also fail while idle, such as when it can't load; the pool then takes no more tasks
+    worker.on('error', error => {
+      failure = failure || error;
+      if (idleWorkers.includes(worker)) {
+        idleWorkers.splice(idleWorkers.indexOf(worker), 1);
+      }
+      waitingTasks.splice(0).forEach(task => task.reject(new Error(`Worker failed: ${error.message}`)));
+    });
+  }
+
+  return {
+    run(filePath, content = null) {
+      return new Promise((resolve, reject) => {
+        const task = { filePath, content, resolve, reject };
+        if (failure) {
+          reject(new Error(`Worker failed: ${failure.message}`));
+        } else if (idleWorkers.length > 0) {
+          assign(idleWorkers.pop(), task);
+        } else {
+          waitingTasks.push(task);
+        }
+      });
+    },
+
+    close() {
+      return Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
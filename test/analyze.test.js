@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../lib/analyze.js';
+import { formatMarkdown, buildJsonReport } from '../lib/report.js';
+
+// Helper function to write files to a temporary directory and analyse it without the cache
+function analyzeFiles(files, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyze-test-'));
+  try {
+    Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+    return analyze(dir, { useCache: false, ...options });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const FILES = {
+  'a.js': [
+    "import { helper } from './b.js';",
+    '',
+    '/**',
+    ' * Runs the helper twice',
+    ' * @param {number} x - Input',
+    ' */',
+    'export function run(x) {',
+    '  if (x > 1) {',
+    '    return helper(helper(x));',
+    '  }',
+    '  return x;',
+    '}',
+    ''
+  ].join('\n'),
+  'b.js': [
+    'export function helper(x) {',
+    '  return x && x + 1;',
+    '}',
+    'function unused() {}',
+    "export { helper as default } from './b.js';",
+    ''
+  ].join('\n')
+};
+
+test('spilled details are left out of the model and read back per file', () => {
+  const model = analyzeFiles(FILES, { spillDetails: true });
+  try {
+    const file = model.files.find(candidate => candidate.path === 'a.js');
+    assert.equal(file.signatures, undefined);
+    assert.deepEqual(model.readFile(file).signatures.map(entry => entry.name), ['run']);
+    assert.deepEqual(file.imports.map(({ source }) => source), ['./b.js']);
+  } finally {
+    model.close();
+  }
+});
+
+test('a spilled model renders the same reports as one held in memory', () => {
+  const inMemory = analyzeFiles(FILES);
+  const spilled = analyzeFiles(FILES, { spillDetails: true });
+  try {
+    const withoutDate = text => text.replace(/^Generated: .*$/m, '');
+    assert.equal(withoutDate(formatMarkdown(spilled)), withoutDate(formatMarkdown(inMemory)));
+
+    // Each model was read from its own temporary directory
+    const stable = report => ({ ...report, generatedAt: null, root: null });
+    assert.deepEqual(stable(buildJsonReport(spilled)), stable(buildJsonReport(inMemory)));
+    assert.deepEqual(spilled.deadCode.unusedFunctions.map(({ name }) => name), ['unused']);
+    assert.deepEqual(spilled.hotspots.map(({ name }) => name), ['run', 'helper']);
+  } finally {
+    spilled.close();
+  }
+});
+
+test('calls through default imports, namespaces and re-exports reach the declared function', () => {
+  const model = analyzeFiles({
+    'a.js': [
+      "import first from './b.js';",
+      "import * as ns from './b.js';",
+      "import { renamed } from './c.js';",
+      'export function main() {',
+      '  first();',
+      '  ns.named();',
+      '  ns.default();',
+      '  renamed();',
+      '}',
+      ''
+    ].join('\n'),
+    'b.js': [
+      'export default function bar() {}',
+      'export function named() {}',
+      ''
+    ].join('\n'),
+    'c.js': "export { default as renamed } from './b.js';\n"
+  });
+  const main = model.callGraph.find(({ id }) => id === 'a.js#main');
+  assert.deepEqual(main.calls, ['b.js#bar', 'b.js#named']);
+  assert.deepEqual(model.callGraph.find(({ id }) => id === 'b.js#bar').calledBy, ['a.js#main']);
+});
+
+test('an anonymous default export is named default in the reports and the call graph', () => {
+  const model = analyzeFiles({
+    'a.ts': "import increment from './b.js';\nexport function main() {\n  return increment(1);\n}\n",
+    'b.ts': 'export default (x: number): string => String(x + 1);\n'
+  });
+  assert.match(formatMarkdown(model), /^- `default\(x: number\): string` /m);
+  const file = buildJsonReport(model).files.find(({ path: filePath }) => filePath === 'b.ts');
+  assert.deepEqual(file.signatures.map(({ name }) => name), ['default']);
+  assert.deepEqual(model.callGraph.find(({ id }) => id === 'a.ts#main').calls, ['b.ts#default']);
+});
+
+test('type-only imports keep their type keyword in the report and their specifiers', () => {
+  const model = analyzeFiles({
+    'a.ts': "import type { X } from './b';\nimport { type Y, z } from './b';\nexport const v: X | Y = z;\n",
+    'b.ts': 'export type X = 1;\nexport type Y = 2;\nexport const z = 1;\n'
+  });
+  const markdown = formatMarkdown(model);
+  assert.match(markdown, /^- import type \{ X \} from '\.\/b'$/m);
+  assert.match(markdown, /^- import \{ type Y, z \} from '\.\/b'$/m);
+  const file = model.files.find(candidate => candidate.path === 'a.ts');
+  assert.deepEqual(file.imports[0].specifiers.map(({ local, typeOnly }) => `${local} ${typeOnly}`), ['X true', 'Y true', 'z false']);
+});
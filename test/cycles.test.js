@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCycles, formatCycleChain } from '../lib/cycles.js';
+
+// Helper function to build analysed file records from a map of path to the paths it imports
+// An imported path may be an object to set the kind or typeOnly flag of the import
+function createFiles(graph) {
+  return Object.entries(graph).map(([filePath, targets]) => ({
+    path: filePath,
+    imports: targets.map((target, index) => {
+      const { to, kind = 'static', typeOnly = false } = typeof target === 'string' ? { to: target } : target;
+      return { source: `./${to}`, kind, resolvedPath: to, typeOnly, line: index + 1 };
+    })
+  }));
+}
+
+test('a module that imports itself is a cycle of one', () => {
+  const cycles = findCycles(createFiles({ 'a.js': ['a.js', 'b.js'], 'b.js': [] }));
+  assert.deepEqual(cycles, [{
+    files: ['a.js', 'a.js'],
+    imports: [{ from: 'a.js', to: 'a.js', source: './a.js', line: 1 }]
+  }]);
+});
+
+test('a cycle of three is reported once, starting at its first path', () => {
+  const cycles = findCycles(createFiles({
+    'c.js': ['a.js'],
+    'b.js': ['c.js'],
+    'a.js': ['d.js', 'b.js'],
+    'd.js': []
+  }));
+  assert.deepEqual(cycles.map(formatCycleChain), ['a.js -> b.js -> c.js -> a.js']);
+  assert.deepEqual(cycles[0].imports.map(({ from, line }) => `${from}:${line}`), ['a.js:2', 'b.js:1', 'c.js:1']);
+});
+
+test('each file of a component is reported with the shortest cycle through it', () => {
+  const cycles = findCycles(createFiles({
+    'a.js': ['b.js'],
+    'b.js': ['a.js', 'c.js'],
+    'c.js': ['a.js']
+  }));
+  assert.deepEqual(cycles.map(formatCycleChain), ['a.js -> b.js -> a.js', 'a.js -> b.js -> c.js -> a.js']);
+});
+
+test('dynamic and type-only imports do not close a cycle', () => {
+  const cycles = findCycles(createFiles({
+    'a.ts': ['b.ts'],
+    'b.ts': [{ to: 'a.ts', kind: 'dynamic' }, { to: 'c.ts', typeOnly: true }],
+    'c.ts': ['a.ts']
+  }));
+  assert.deepEqual(cycles, []);
+});
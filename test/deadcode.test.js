@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../lib/analyze.js';
+
+// Helper function to write files to a temporary directory and find its dead code without the cache
+function findDeadCodeIn(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deadcode-test-'));
+  try {
+    Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+    return analyze(dir, { useCache: false }).deadCode;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Helper function to list reported entries as path#name
+const labels = entries => entries.map(({ path: filePath, name }) => `${filePath}#${name}`);
+
+test('a name passed on by a re-export is used by the importers of the re-exporting file', () => {
+  const deadCode = findDeadCodeIn({
+    'package.json': JSON.stringify({ name: 'app', main: 'main.js' }),
+    'main.js': "import { used } from './index.js';\nused();\n",
+    'index.js': "export { used, unused } from './impl.js';\nexport * from './more.js';\n",
+    'impl.js': 'export function used() {}\nexport function unused() {}\nexport function hidden() {}\n',
+    'more.js': 'export function extra() {}\n'
+  });
+  assert.deepEqual(deadCode.unimportedFiles, []);
+  assert.deepEqual(labels(deadCode.unusedExports), ['impl.js#hidden', 'index.js#unused']);
+});
+
+test('a namespace import uses every export of its module', () => {
+  const deadCode = findDeadCodeIn({
+    'package.json': JSON.stringify({ name: 'app', main: 'main.js' }),
+    'main.js': "import * as lib from './lib.js';\nimport { one } from './other.js';\nlib.a();\none();\n",
+    'lib.js': 'export function a() {}\nexport function b() {}\nfunction helper() {}\nfunction local() {}\nexport const c = local;\n',
+    'other.js': 'export function one() {}\nexport function two() {}\n'
+  });
+  assert.deepEqual(labels(deadCode.unusedExports), ['other.js#two']);
+  assert.deepEqual(labels(deadCode.unusedFunctions), ['lib.js#helper']);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../lib/analyze.js';
+import { buildJsonReport } from '../lib/report.js';
+import { diffReports } from '../lib/diff.js';
+
+// Helper function to write files to a temporary directory and build its JSON report without the cache
+function buildReport(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-test-'));
+  try {
+    Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+    return buildJsonReport(analyze(dir, { useCache: false }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a removed export breaks callers and an added one does not', () => {
+  const diff = diffReports(
+    buildReport({ 'a.ts': 'export function kept() {}\nexport function dropped(x: number) {}\n' }),
+    buildReport({ 'a.ts': 'export function kept() {}\nexport function added() {}\n' })
+  );
+  assert.deepEqual(diff.exports.removed, [{ path: 'a.ts', name: 'dropped', signature: 'dropped(x: number)' }]);
+  assert.deepEqual(diff.exports.added.map(({ name }) => name), ['added']);
+  assert.deepEqual(diff.breaking, [{ path: 'a.ts', name: 'dropped', reason: 'removed' }]);
+});
+
+test('changed parameters break callers unless the new ones are optional', () => {
+  const diff = diffReports(
+    buildReport({ 'a.ts': 'export function f(a: string) {}\nexport function g(a: string) {}\nexport function h(a: string) {}\n' }),
+    buildReport({ 'a.ts': 'export function f(a: number) {}\nexport function g(a: string, b?: number) {}\nexport function h(a: string, b: number) {}\n' })
+  );
+  const changed = Object.fromEntries(diff.exports.changed.map(entry => [entry.name, entry]));
+  assert.deepEqual(changed.f.changes, ['parameter `a` type `string` → `number`']);
+  assert.equal(changed.g.breaking, false);
+  assert.equal(changed.h.after, 'h(a: string, b: number)');
+  assert.deepEqual(diff.breaking.map(({ name, reason }) => `${name}: ${reason}`), [
+    'f: parameter `a` type `string` → `number`',
+    'h: parameter `b` added as required'
+  ]);
+});
+
+test('value exports are compared by name and type, without a parameter list', () => {
+  const diff = diffReports(
+    buildReport({ 'a.ts': 'export const z = 1;\nexport const limit: number = 10;\nexport let gone: string = "";\n' }),
+    buildReport({ 'a.ts': 'export const z = 1;\nexport const limit: string = "10";\n' })
+  );
+  assert.deepEqual(diff.exports.removed, [{ path: 'a.ts', name: 'gone', signature: 'gone: string' }]);
+  assert.deepEqual(diff.exports.changed.map(({ before, after, breaking }) => ({ before, after, breaking })), [
+    { before: 'limit: number', after: 'limit: string', breaking: true }
+  ]);
+});
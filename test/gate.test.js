@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../lib/analyze.js';
+import { findViolations, createBaseline, applyBaseline } from '../lib/gate.js';
+
+// Helper function to write files to a temporary directory and analyse it without the cache
+function analyzeFiles(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gate-test-'));
+  try {
+    Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+    return analyze(dir, { useCache: false });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Helper function to write a function with the given number of statements
+function longFunction(name, statements) {
+  const body = Array.from({ length: statements }, (_, i) => `  console.log(${i});`);
+  return [`export function ${name}() {`, ...body, '}', ''].join('\n');
+}
+
+const THRESHOLDS = { maxFunctionLines: 3 };
+
+test('a baselined violation stays accepted when its lines move, and a new one is reported', () => {
+  const before = findViolations(analyzeFiles({ 'a.js': longFunction('old', 5) }), THRESHOLDS);
+  const baseline = createBaseline(before);
+  assert.deepEqual(baseline.violations, [{ rule: 'max-function-lines', path: 'a.js', name: 'old' }]);
+
+  const after = findViolations(analyzeFiles({
+    'a.js': ['// Moved down a few lines', '', longFunction('old', 6), longFunction('added', 4)].join('\n')
+  }), THRESHOLDS);
+  const result = applyBaseline(after, baseline);
+  assert.deepEqual(result.violations.map(({ rule, path: filePath, name }) => ({ rule, path: filePath, name })), [
+    { rule: 'max-function-lines', path: 'a.js', name: 'added' }
+  ]);
+  assert.equal(result.baselined, 1);
+  assert.equal(result.fixed, 0);
+});
+
+test('baseline entries are matched by rule, so the same function breaking another rule is new', () => {
+  const model = analyzeFiles({ 'a.js': longFunction('old', 5) });
+  const baseline = createBaseline(findViolations(model, THRESHOLDS));
+  const result = applyBaseline(findViolations(model, { ...THRESHOLDS, requireJsDocOnExports: true }), baseline);
+  assert.deepEqual(result.violations.map(({ rule, name }) => `${rule} ${name}`), ['require-jsdoc-exports old']);
+});
+
+test('baseline entries that no longer occur are counted as fixed', () => {
+  const baseline = createBaseline(findViolations(analyzeFiles({ 'a.js': longFunction('old', 5) }), THRESHOLDS));
+  const result = applyBaseline(findViolations(analyzeFiles({ 'a.js': longFunction('old', 1) }), THRESHOLDS), baseline);
+  assert.deepEqual(result, { violations: [], baselined: 0, fixed: 1 });
+});
+
+test('a baseline in an unknown format is rejected', () => {
+  assert.throws(() => applyBaseline([], { version: 2, violations: [] }), /Unsupported baseline file/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createGitignoreFilter } from '../lib/gitignore.js';
+
+// Helper function to create a repository in a temporary directory with the given ignore files
+// Returns { ignores(relativePath, isDirectory), cleanup() }
+function createRepository(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gitignore-test-'));
+  fs.mkdirSync(path.join(root, '.git', 'info'), { recursive: true });
+  Object.entries(files).forEach(([relativePath, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(root, relativePath), content);
+  });
+  const filter = createGitignoreFilter(root);
+
+  return {
+    ignores: (relativePath, isDirectory) => filter.ignores(path.join(root, relativePath), isDirectory),
+    cleanup: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+test('a negated rule re-includes a file, but not one below an ignored directory', () => {
+  const repository = createRepository({ '.gitignore': '*.log\n!keep.log\nbuild/\n!build/keep.js\n' });
+  try {
+    assert.equal(repository.ignores('debug.log'), true);
+    assert.equal(repository.ignores('keep.log'), false);
+    assert.equal(repository.ignores('src/keep.log'), false);
+    assert.equal(repository.ignores('build', true), true);
+    assert.equal(repository.ignores('build/keep.js'), true);
+  } finally {
+    repository.cleanup();
+  }
+});
+
+test('a nested .gitignore applies below its directory and overrides the ones above it', () => {
+  const repository = createRepository({
+    '.gitignore': '*.tmp\n',
+    '.git/info/exclude': 'local.js\n',
+    'packages/a/.gitignore': '!*.tmp\n/fixtures\n'
+  });
+  try {
+    assert.equal(repository.ignores('cache.tmp'), true);
+    assert.equal(repository.ignores('packages/b/cache.tmp'), true);
+    assert.equal(repository.ignores('packages/a/cache.tmp'), false);
+    // Patterns with a slash are anchored to the directory of their .gitignore
+    assert.equal(repository.ignores('packages/a/fixtures', true), true);
+    assert.equal(repository.ignores('packages/a/src/fixtures', true), false);
+    assert.equal(repository.ignores('fixtures', true), false);
+    assert.equal(repository.ignores('local.js'), true);
+  } finally {
+    repository.cleanup();
+  }
+});
+
+test('nothing is ignored when the filter is disabled', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gitignore-test-'));
+  try {
+    fs.writeFileSync(path.join(root, '.gitignore'), '*.js\n');
+    assert.equal(createGitignoreFilter(root, { enabled: false }).ignores(path.join(root, 'a.js')), false);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileGlob, matchRules, createPathFilter } from '../lib/glob.js';
+
+// Helper function to apply a list of patterns to a path
+function match(patterns, relativePath, isDirectory = false) {
+  return matchRules(patterns.map(compileGlob), relativePath, isDirectory);
+}
+
+test('** spans any number of directories and * stays within one', () => {
+  assert.equal(match(['src/**/*.test.js'], 'src/a.test.js'), true);
+  assert.equal(match(['src/**/*.test.js'], 'src/deep/er/a.test.js'), true);
+  assert.equal(match(['src/*.js'], 'src/deep/a.js'), null);
+  assert.equal(match(['**/fixtures'], 'a/b/fixtures', true), true);
+  assert.equal(match(['vendor/**'], 'vendor/lib/x.js'), true);
+  assert.equal(match(['vendor/**'], 'vendor'), null);
+  // Without a slash a pattern matches at any depth; with one it is anchored to the root
+  assert.equal(match(['*.min.js'], 'dist/app.min.js'), true);
+  assert.equal(match(['/app.js'], 'src/app.js'), null);
+});
+
+test('the last matching pattern wins, so ! re-includes what an earlier one matched', () => {
+  assert.equal(match(['*.js', '!keep.js'], 'keep.js'), false);
+  assert.equal(match(['*.js', '!keep.js'], 'drop.js'), true);
+  assert.equal(match(['!keep.js', '*.js'], 'keep.js'), true);
+  assert.equal(match(['!keep.js'], 'other.js'), null);
+});
+
+test('a trailing slash only matches directories', () => {
+  assert.equal(match(['build/'], 'build', true), true);
+  assert.equal(match(['build/'], 'build'), null);
+  assert.equal(match(['build/'], 'src/build', true), true);
+});
+
+test('excludePaths only skip directories and excludeFiles only skip files', () => {
+  const filter = createPathFilter({
+    include: ['src/**'],
+    exclude: [],
+    excludePaths: ['generated'],
+    excludeFiles: ['*.d.ts']
+  });
+  assert.equal(filter.excludesDirectory('src/generated'), true);
+  assert.equal(filter.includesFile('src/generated.js'), true);
+  assert.equal(filter.includesFile('src/types.d.ts'), false);
+  assert.equal(filter.includesFile('test/a.js'), false);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { analyze } from '../lib/analyze.js';
+import { buildJSDocReport } from '../lib/jsdoc.js';
+
+// Helper function to analyse one file written to a temporary directory, without the cache
+function analyzeSource(fileName, source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsdoc-test-'));
+  try {
+    fs.writeFileSync(path.join(dir, fileName), source);
+    return analyze(dir, { useCache: false });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('flags a JSDoc block that documents nothing', () => {
+  const source = [
+    'import fs from \'fs\';',
+    '',
+    '/**',
+    ' * Reads the settings file',
+    ' */',
+    'const settingsPath = \'settings.json\';',
+    '',
+    '/**',
+    ' * Floating block, separated from the function below by another block',
+    ' */',
+    '',
+    '/**',
+    ' * Returns the settings',
+    ' * @returns {Object} The settings',
+    ' */',
+    'export function readSettings() {',
+    '  return JSON.parse(fs.readFileSync(settingsPath, \'utf8\'));',
+    '}',
+    '',
+    '/**',
+    ' * Left at the end of the file',
+    ' */',
+    ''
+  ].join('\n');
+
+  const report = buildJSDocReport(analyzeSource('settings.js', source));
+  const issues = report.files[0].issues.filter(issue => issue.kind === 'detached');
+
+  assert.deepEqual(issues.map(issue => issue.line), [8, 20]);
+});
+
+test('leaves the file header and @typedef blocks alone', () => {
+  const source = [
+    '/**',
+    ' * Settings helpers',
+    ' */',
+    '',
+    '/**',
+    ' * @typedef {Object} Settings',
+    ' * @property {string} name',
+    ' */',
+    '',
+    'export function name() {',
+    '  return \'settings\';',
+    '}',
+    ''
+  ].join('\n');
+
+  const report = buildJSDocReport(analyzeSource('settings.js', source));
+
+  assert.deepEqual(report.files[0].issues, []);
+});
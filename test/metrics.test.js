@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSourceTolerant } from '../lib/parse.js';
+import { computeMetrics } from '../lib/metrics.js';
+
+// Helper function to compute the metrics of the first function declared in a source
+function metricsOf(source) {
+  const { ast } = parseSourceTolerant(source, 'a.js');
+  return computeMetrics(ast.body[0]);
+}
+
+test('leaves the branches of nested functions out of both complexities', () => {
+  const metrics = metricsOf([
+    'function outer(items) {',
+    '  if (items) {',
+    '    return items.map(item => {',
+    '      if (item && item.ok) {',
+    '        return 1;',
+    '      }',
+    '      return item ? 2 : 3;',
+    '    });',
+    '  }',
+    '  return [];',
+    '}',
+    ''
+  ].join('\n'));
+
+  assert.equal(metrics.cyclomatic, 2);
+  assert.equal(metrics.cognitive, 1);
+  assert.equal(metrics.returns, 2);
+});
+
+test('counts nesting for the branches of the function itself', () => {
+  const metrics = metricsOf([
+    'function walk(items) {',
+    '  for (const item of items) {',
+    '    if (item) {',
+    '      continue;',
+    '    } else {',
+    '      break;',
+    '    }',
+    '  }',
+    '}',
+    ''
+  ].join('\n'));
+
+  assert.equal(metrics.cyclomatic, 3);
+  assert.equal(metrics.cognitive, 4);
+});
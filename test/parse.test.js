@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSourceTolerant } from '../lib/parse.js';
+
+// Helper function to list the names declared at the top level of a program
+function declaredNames(ast) {
+  return ast.body.map(node => {
+    const declaration = node.declaration || node;
+    if (declaration.id) {
+      return declaration.id.name;
+    }
+    return declaration.declarations ? declaration.declarations[0].id.name : null;
+  }).filter(name => name);
+}
+
+test('recovers the declarations around a mistake reported on a later line', () => {
+  const source = [
+    'export function first() {}',
+    'function bad( {',
+    '  return 1;',
+    '}',
+    'export function third(x) { return x; }',
+    'export class Shape {',
+    '  area() { return 1; }',
+    '}',
+    "export const VERSION = '1';",
+    ''
+  ].join('\n');
+
+  const { ast, error } = parseSourceTolerant(source, 'a.js');
+  assert.equal(error.loc.line, 3);
+  assert.ok(ast);
+  assert.deepEqual(declaredNames(ast), ['first', 'third', 'Shape', 'VERSION']);
+});
+
+test('keeps the locations of the recovered declarations', () => {
+  const source = 'function bad( {\n  return 1;\n}\nfunction good() {}\n';
+  const { ast } = parseSourceTolerant(source, 'a.js');
+  const good = ast.body.find(node => node.id && node.id.name === 'good');
+  assert.equal(good.loc.start.line, 4);
+  assert.equal(source.slice(good.start, good.end), 'function good() {}');
+});
+
+test('recovers a file that ends before its blocks are closed', () => {
+  const source = 'export function one() {}\nfunction tail() {\n  for (const x of [1]) {\n    x;\n  }\n';
+  const { ast, error } = parseSourceTolerant(source, 'a.js');
+  assert.ok(error);
+  assert.deepEqual(declaredNames(ast), ['one', 'tail']);
+});
+
+test('parses JSX in .js files without errors', () => {
+  const source = [
+    "import React from 'react';",
+    'export function App({ name }) {',
+    '  return <div className="app">{name}</div>;',
+    '}',
+    'export function helper() {}',
+    ''
+  ].join('\n');
+
+  const { ast, error } = parseSourceTolerant(source, 'app.js');
+  assert.equal(error, null);
+  assert.deepEqual(declaredNames(ast), ['App', 'helper']);
+});
+
+test('collects the comments of a file that needed recovery', () => {
+  const comments = [];
+  const { ast } = parseSourceTolerant('/** Documented */\nfunction ok() {}\nfunction bad( {\n  return;\n}\n', 'a.js', comments);
+  assert.deepEqual(declaredNames(ast), ['ok']);
+  assert.deepEqual(comments.map(comment => comment.value), ['* Documented ']);
+});
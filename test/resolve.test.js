@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createImportResolver } from '../lib/resolve.js';
+
+// Helper function to write files to a temporary directory and create a resolver over them
+// Returns { resolve(specifier, from), cleanup() }; from is a path relative to the directory
+function createFixture(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'resolve-test-'));
+  const allFiles = Object.entries(files).map(([relativePath, content]) => {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return { filePath, relativePath };
+  });
+  const resolveImport = createImportResolver(root, allFiles);
+
+  return {
+    resolve: (specifier, from) => resolveImport(specifier, path.join(root, from)),
+    cleanup: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+test('resolves relative specifiers with and without extensions, and directories to index files', () => {
+  const fixture = createFixture({
+    'src/a.js': '',
+    'src/b.mjs': '',
+    'src/lib/index.js': '',
+    'src/data.json': '{}'
+  });
+  try {
+    assert.equal(fixture.resolve('./b.mjs', 'src/a.js'), path.join('src', 'b.mjs'));
+    assert.equal(fixture.resolve('./b', 'src/a.js'), path.join('src', 'b.mjs'));
+    assert.equal(fixture.resolve('./lib', 'src/a.js'), path.join('src', 'lib', 'index.js'));
+    assert.equal(fixture.resolve('./data.json', 'src/a.js'), path.join('src', 'data.json'));
+    assert.equal(fixture.resolve('./missing', 'src/a.js'), null);
+  } finally {
+    fixture.cleanup();
+  }
+});
+
+test('resolves the compiled name of a TypeScript source to the source', () => {
+  const fixture = createFixture({
+    'src/a.ts': '',
+    'src/util.ts': '',
+    'src/view.tsx': '',
+    'src/types.d.mts': ''
+  });
+  try {
+    assert.equal(fixture.resolve('./util.js', 'src/a.ts'), path.join('src', 'util.ts'));
+    assert.equal(fixture.resolve('./view.jsx', 'src/a.ts'), path.join('src', 'view.tsx'));
+    assert.equal(fixture.resolve('./types.mjs', 'src/a.ts'), path.join('src', 'types.d.mts'));
+  } finally {
+    fixture.cleanup();
+  }
+});
+
+test('resolves packages of the scanned tree through main and exports', () => {
+  const fixture = createFixture({
+    'app/a.js': '',
+    'packages/old/package.json': { name: 'old', main: 'lib/main' },
+    'packages/old/lib/main.js': '',
+    'packages/new/package.json': {
+      name: '@scope/new',
+      exports: {
+        '.': { types: './index.d.ts', import: './esm/index.js', require: './cjs/index.js' },
+        './features/*': './src/features/*.js'
+      }
+    },
+    'packages/new/esm/index.js': '',
+    'packages/new/cjs/index.js': '',
+    'packages/new/src/features/login.js': '',
+    'packages/new/src/hidden.js': ''
+  });
+  try {
+    assert.equal(fixture.resolve('old', 'app/a.js'), path.join('packages', 'old', 'lib', 'main.js'));
+    // Conditions apply in the order the package lists them, skipping those that aren't honoured
+    assert.equal(fixture.resolve('@scope/new', 'app/a.js'), path.join('packages', 'new', 'esm', 'index.js'));
+    assert.equal(fixture.resolve('@scope/new/features/login', 'app/a.js'), path.join('packages', 'new', 'src', 'features', 'login.js'));
+    // A package with exports only exposes what they list
+    assert.equal(fixture.resolve('@scope/new/src/hidden.js', 'app/a.js'), null);
+    assert.equal(fixture.resolve('left-pad', 'app/a.js'), null);
+    assert.equal(fixture.resolve('node:fs', 'app/a.js'), null);
+  } finally {
+    fixture.cleanup();
+  }
+});
+
+test('resolves #specifiers through the imports of the nearest package.json', () => {
+  const fixture = createFixture({
+    'package.json': { name: 'app', imports: { '#config': './src/config.js', '#utils/*': './src/utils/*.js' } },
+    'src/a.js': '',
+    'src/config.js': '',
+    'src/utils/strings.js': ''
+  });
+  try {
+    assert.equal(fixture.resolve('#config', 'src/a.js'), path.join('src', 'config.js'));
+    assert.equal(fixture.resolve('#utils/strings', 'src/a.js'), path.join('src', 'utils', 'strings.js'));
+    assert.equal(fixture.resolve('#unknown', 'src/a.js'), null);
+  } finally {
+    fixture.cleanup();
+  }
+});